@@ -0,0 +1,29 @@
+/**
+ * modella-mysql errors
+ *
+ * @author Alex Mingoia <talk@alexmingoia.com>
+ * @link https://github.com/bloodhound/modella-mysql
+ */
+
+exports.StaleObjectError = StaleObjectError;
+
+/**
+ * Initialize a new `StaleObjectError` for `model`, which was changed or
+ * removed by someone else since it was loaded.
+ *
+ * @param {Model} model
+ * @api public
+ */
+
+function StaleObjectError(model) {
+  Error.call(this);
+  if (Error.captureStackTrace) Error.captureStackTrace(this, StaleObjectError);
+  this.name = 'StaleObjectError';
+  this.message = "Could not update stale " + model.model.modelName + " "
+    + model.primary() + ".";
+  this.code = this.status = 409;
+  this.model = model;
+}
+
+StaleObjectError.prototype = Object.create(Error.prototype);
+StaleObjectError.prototype.constructor = StaleObjectError;
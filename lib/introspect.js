@@ -0,0 +1,424 @@
+/**
+ * modella-mysql introspection
+ *
+ * Generates Modella model definitions from an existing database schema.
+ * Relations are inferred from foreign keys. Tables with exactly two columns
+ * that are both foreign keys are treated as "has and belongs to many" join
+ * tables.
+ *
+ * @author Alex Mingoia <talk@alexmingoia.com>
+ * @link https://github.com/bloodhound/modella-mysql
+ */
+
+var async = require('async')
+  , lingo = require('lingo').en;
+
+// Name of the generated settings module. Table names cannot contain dots, so
+// it cannot collide with a model module.
+var settingsModule = 'mysql.settings';
+
+/**
+ * Read schema through `pool` and generate model sources.
+ *
+ * options
+ *     - tables   Only generate models for these tables.
+ *     - settings Connection settings written to the generated
+ *                `mysql.settings.js`.
+ *
+ * @param {Pool} pool
+ * @param {Object} options
+ * @param {Function(err, files)} callback
+ * @api public
+ */
+
+exports.introspect = function(pool, options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+
+  var live = {};
+  var queries = {
+    tables: 'SELECT "TABLE_NAME" FROM "INFORMATION_SCHEMA"."TABLES"'
+      + " WHERE \"TABLE_SCHEMA\" = DATABASE() AND \"TABLE_TYPE\" = 'BASE TABLE'"
+      + ' ORDER BY "TABLE_NAME"',
+    columns: 'SELECT "TABLE_NAME", "COLUMN_NAME", "DATA_TYPE", "COLUMN_TYPE",'
+      + ' "CHARACTER_MAXIMUM_LENGTH", "COLUMN_KEY", "IS_NULLABLE", "EXTRA"'
+      + ' FROM "INFORMATION_SCHEMA"."COLUMNS" WHERE "TABLE_SCHEMA" = DATABASE()'
+      + ' ORDER BY "TABLE_NAME", "ORDINAL_POSITION"',
+    foreignKeys: 'SELECT "TABLE_NAME", "COLUMN_NAME", "REFERENCED_TABLE_NAME",'
+      + ' "REFERENCED_COLUMN_NAME" FROM "INFORMATION_SCHEMA"."KEY_COLUMN_USAGE"'
+      + ' WHERE "TABLE_SCHEMA" = DATABASE() AND "REFERENCED_TABLE_NAME" IS NOT NULL'
+      + ' ORDER BY "TABLE_NAME", "COLUMN_NAME"'
+  };
+
+  async.eachSeries(Object.keys(queries), function(name, next) {
+    pool.query(queries[name], [], function(err, rows) {
+      if (err) return next(err);
+      live[name] = rows || [];
+      next();
+    });
+  }, function(err) {
+    if (err) return callback(err);
+    callback(null, exports.generate(live, options));
+  });
+};
+
+/**
+ * Generate model sources from `live` INFORMATION_SCHEMA rows.
+ *
+ * Returns an array of `{ file, source }` objects, with `model` and `table`
+ * set for model files.
+ *
+ * @param {Object} live `tables`, `columns` and `foreignKeys` rows
+ * @param {Object} options
+ * @return {Array}
+ * @api public
+ */
+
+exports.generate = function(live, options) {
+  options = options || {};
+
+  var tables = {};
+  live.tables.forEach(function(row) {
+    if (row.TABLE_NAME == 'schema_migrations') return;
+    if (options.tables && options.tables.indexOf(row.TABLE_NAME) == -1) return;
+    tables[row.TABLE_NAME] = {
+      name: row.TABLE_NAME,
+      model: exports.modelName(row.TABLE_NAME),
+      columns: [],
+      foreignKeys: [],
+      relations: [],
+      requires: []
+    };
+  });
+
+  live.columns.forEach(function(row) {
+    if (tables[row.TABLE_NAME]) tables[row.TABLE_NAME].columns.push(row);
+  });
+
+  live.foreignKeys.forEach(function(row) {
+    var table = tables[row.TABLE_NAME];
+    if (table && tables[row.REFERENCED_TABLE_NAME]) table.foreignKeys.push(row);
+  });
+
+  for (var name in tables) {
+    var table = tables[name];
+    table.join = table.columns.length == 2 && table.foreignKeys.length == 2;
+  }
+
+  for (var name in tables) {
+    var table = tables[name];
+    if (table.join) {
+      addJoinRelations(tables, table);
+      continue;
+    }
+    table.foreignKeys.forEach(function(row) {
+      addForeignKeyRelations(tables, table, row);
+    });
+  }
+
+  var files = [];
+  for (var name in tables) {
+    files.push({
+      model: tables[name].model,
+      table: name,
+      file: name + '.js',
+      source: modelSource(tables[name])
+    });
+  }
+  files.push({
+    file: settingsModule + '.js',
+    source: settingsSource(options.settings || {})
+  });
+
+  return files;
+};
+
+/**
+ * Return model name for `table`, e.g. `blog_posts` becomes `BlogPost`.
+ *
+ * @param {String} table
+ * @return {String}
+ * @api public
+ */
+
+exports.modelName = function(table) {
+  var words = table.split('_');
+  words.push(lingo.singularize(words.pop()));
+  return words.map(capitalize).join('');
+};
+
+/**
+ * Return attribute name for `column`, e.g. `first_name` becomes `firstName`.
+ *
+ * @param {String} column
+ * @return {String}
+ * @api public
+ */
+
+exports.attrName = function(column) {
+  return column.replace(/_([a-z0-9])/g, function(match, letter) {
+    return letter.toUpperCase();
+  });
+};
+
+/**
+ * Return attribute definition for INFORMATION_SCHEMA `column` row.
+ *
+ * @param {Object} column
+ * @return {Object}
+ * @api public
+ */
+
+exports.attrDefinition = function(column) {
+  var def = {};
+  var dataType = column.DATA_TYPE.toLowerCase();
+
+  if (column.COLUMN_TYPE.toLowerCase() == 'tinyint(1)') {
+    def.type = 'boolean';
+  }
+  else if (dataType == 'int' || dataType == 'integer') {
+    def.type = 'number';
+  }
+  else if (/int$|^(decimal|numeric|float|double|real)$/.test(dataType)) {
+    def.type = 'number';
+    def.columnType = dataType;
+  }
+  else if (dataType == 'datetime' || dataType == 'date') {
+    def.type = 'date';
+    def.columnType = 'datetime';
+  }
+  else if (dataType == 'timestamp') {
+    def.type = 'date';
+    def.columnType = 'timestamp';
+  }
+  else if (dataType == 'json') {
+    def.type = 'object';
+  }
+  else {
+    def.type = 'string';
+    if (dataType != 'varchar') def.columnType = dataType;
+    if (/char$/.test(dataType) && column.CHARACTER_MAXIMUM_LENGTH) {
+      def.length = Number(column.CHARACTER_MAXIMUM_LENGTH);
+    }
+  }
+
+  if (column.COLUMN_KEY == 'PRI') def.primaryKey = true;
+  if (column.IS_NULLABLE == 'NO' && !def.primaryKey) def.nullable = false;
+
+  return def;
+};
+
+/**
+ * Add "has many" and "belongs to" relations for foreign key `row`.
+ *
+ * @api private
+ */
+
+function addForeignKeyRelations(tables, table, row) {
+  var parent = tables[row.REFERENCED_TABLE_NAME];
+  var foreignKey = exports.attrName(row.COLUMN_NAME);
+  var belongsAs = row.COLUMN_NAME.replace(/_id$/, '');
+  if (belongsAs == row.COLUMN_NAME) {
+    belongsAs = lowerFirst(parent.model);
+  }
+  belongsAs = exports.attrName(belongsAs);
+
+  var hasManyAs = lingo.pluralize(lowerFirst(table.model));
+  parent.relations.forEach(function(relation) {
+    if (relation.as == hasManyAs) {
+      hasManyAs = belongsAs + capitalize(hasManyAs);
+    }
+  });
+
+  parent.relations.push({
+    source: parent.model + '.hasMany(' + table.model + ', { as: '
+      + literal(hasManyAs) + ', foreignKey: ' + literal(foreignKey) + ' });',
+    as: hasManyAs
+  });
+  addRequire(parent, table);
+
+  table.relations.push({
+    source: parent.model + '.belongsTo(' + table.model + ', { as: '
+      + literal(belongsAs) + ', foreignKey: ' + literal(foreignKey) + ' });',
+    as: belongsAs
+  });
+  addRequire(table, parent);
+};
+
+/**
+ * Add "has and belongs to many" relations for join `table`.
+ *
+ * @api private
+ */
+
+function addJoinRelations(tables, table) {
+  var from = table.foreignKeys[0];
+  var to = table.foreignKeys[1];
+
+  [[from, to], [to, from]].forEach(function(keys) {
+    var model = tables[keys[0].REFERENCED_TABLE_NAME];
+    var other = tables[keys[1].REFERENCED_TABLE_NAME];
+    var as = lingo.pluralize(lowerFirst(other.model));
+    model.relations.push({
+      source: model.model + '.hasAndBelongsToMany(' + other.model + ', {\n'
+        + '  as: ' + literal(as) + ',\n'
+        + '  through: ' + table.model + ',\n'
+        + '  fromKey: ' + literal(keys[0].COLUMN_NAME) + ',\n'
+        + '  toKey: ' + literal(keys[1].COLUMN_NAME) + '\n'
+        + '});',
+      as: as
+    });
+    addRequire(model, table);
+    addRequire(model, other);
+  });
+};
+
+/**
+ * Add `required` table to the requires of `table`.
+ *
+ * @api private
+ */
+
+function addRequire(table, required) {
+  if (table !== required && table.requires.indexOf(required) == -1) {
+    table.requires.push(required);
+  }
+};
+
+/**
+ * Build model module source for `table`.
+ *
+ * Join table attributes keep their column names, as `hasAndBelongsToMany`
+ * uses the keys as column names.
+ *
+ * @api private
+ */
+
+function modelSource(table) {
+  var model = table.model;
+  var lines = [
+    '/**',
+    ' * ' + model + ' model.',
+    ' *',
+    ' * Generated by modella-mysql from table `' + table.name + '`.',
+    ' */',
+    '',
+    "var modella = require('modella');",
+    "var mysql = require('modella-mysql');",
+    "var settings = require('./" + settingsModule + "');",
+    '',
+    'var ' + model + ' = module.exports = modella(' + literal(model) + ');',
+    '',
+    model
+  ];
+
+  var attrs = table.columns.map(function(column) {
+    var def = exports.attrDefinition(column);
+    var attr = table.join ? column.COLUMN_NAME : exports.attrName(column.COLUMN_NAME);
+    if (attr != column.COLUMN_NAME) def.columnName = column.COLUMN_NAME;
+    return { name: attr, def: def, column: column };
+  });
+  var keyAttrs = attrs.filter(function(attr) {
+    return attr.def.primaryKey;
+  });
+  var primaryKeys = keyAttrs.map(function(attr) {
+    return attr.name;
+  });
+
+  attrs.forEach(function(attr, i) {
+    // Composite keys are declared with the plugin's `primaryKey` option
+    if (primaryKeys.length > 1) delete attr.def.primaryKey;
+    lines.push('  .attr(' + literal(attr.name) + ', ' + literal(attr.def) + ')'
+      + (i == attrs.length - 1 ? ';' : ''));
+  });
+
+  if (primaryKeys.length == 1 && primaryKeys[0] != 'id') {
+    lines.push('', model + '.primaryKey = ' + literal(primaryKeys[0]) + ';');
+  }
+
+  var options = { tableName: table.name };
+  if (primaryKeys.length > 1) options.primaryKey = primaryKeys;
+  // Single keys without AUTO_INCREMENT are set by the application
+  else if (keyAttrs.length && !/auto_increment/i.test(keyAttrs[0].column.EXTRA)) {
+    options.keyStrategy = 'manual';
+  }
+  lines.push('', model + '.use(mysql(settings, ' + literal(options) + '));');
+
+  if (table.requires.length) {
+    lines.push('');
+    table.requires.forEach(function(required) {
+      lines.push('var ' + required.model + " = require('./" + required.name + "');");
+    });
+  }
+
+  if (table.relations.length) {
+    lines.push('');
+    table.relations.forEach(function(relation) {
+      lines.push(relation.source);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Build the settings module source. The password is read from the environment.
+ *
+ * @api private
+ */
+
+function settingsSource(settings) {
+  var pairs = [];
+  ['host', 'port', 'user', 'database'].forEach(function(key) {
+    if (settings[key] !== undefined) {
+      pairs.push('  ' + key + ': ' + literal(settings[key]));
+    }
+  });
+  pairs.push('  password: process.env.MYSQL_PASSWORD');
+  return '/**\n * Database settings shared by generated models.\n */\n\n'
+    + 'module.exports = {\n' + pairs.join(',\n') + '\n};\n';
+};
+
+/**
+ * Format `value` as a JavaScript literal.
+ *
+ * @api private
+ */
+
+function literal(value) {
+  if (typeof value == 'string') {
+    return "'" + value.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(literal).join(', ') + ']';
+  }
+  if (value && typeof value == 'object') {
+    var pairs = Object.keys(value).map(function(key) {
+      return key + ': ' + literal(value[key]);
+    });
+    return pairs.length ? '{ ' + pairs.join(', ') + ' }' : '{}';
+  }
+  return String(value);
+};
+
+/**
+ * Lower-case first letter of `str`.
+ *
+ * @api private
+ */
+
+function lowerFirst(str) {
+  return str.charAt(0).toLowerCase() + str.substr(1);
+};
+
+/**
+ * Upper-case first letter of `str`.
+ *
+ * @api private
+ */
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.substr(1);
+};
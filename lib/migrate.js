@@ -0,0 +1,392 @@
+/**
+ * modella-mysql migrations
+ *
+ * Versioned schema migrations. Migrations are modules named
+ * `<version>_<name>.js` (or `<version>-<name>.js`), where version is a
+ * timestamp such as `20131020153000`, exposing `up` and `down` steps:
+ *
+ *     exports.up = function(m, done) {
+ *       m.query('ALTER TABLE "user" ADD "bio" TEXT', done);
+ *     };
+ *
+ *     exports.down = function(m, done) {
+ *       m.query('ALTER TABLE "user" DROP "bio"', done);
+ *     };
+ *
+ * Each step runs inside a transaction unless the module sets
+ * `exports.transaction = false`. Note that MySQL commits implicitly after
+ * most DDL statements.
+ *
+ * @author Alex Mingoia <talk@alexmingoia.com>
+ * @link https://github.com/bloodhound/modella-mysql
+ */
+
+var async       = require('async')
+  , fs          = require('fs')
+  , mosql       = require('mongo-sql')
+  , path        = require('path')
+  , schema      = require('./schema')
+  , Transaction = require('./transaction');
+
+/**
+ * Run pending migrations.
+ *
+ * options
+ *     - dir        Migrations directory (Default: ./migrations).
+ *     - migrations Array of migration modules with `version` and `name`,
+ *                  used instead of `dir`.
+ *     - table      Bookkeeping table (Default: schema_migrations).
+ *     - to         Migrate up to and including this version.
+ *
+ * @param {Pool} pool
+ * @param {Object} options
+ * @param {Function(err, versions)} callback
+ * @api public
+ */
+
+exports.migrate = function(pool, options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+
+  var migrations = exports.load(options);
+
+  session(pool, options, function(connection, applied, next) {
+    var pending = migrations.filter(function(migration) {
+      if (options.to && migration.version > String(options.to)) return false;
+      return applied.indexOf(migration.version) == -1;
+    });
+    async.eachSeries(pending, function(migration, next) {
+      run(connection, migration, 'up', options, next);
+    }, function(err) {
+      next(err, pending.map(function(migration) {
+        return migration.version;
+      }));
+    });
+  }, callback);
+};
+
+/**
+ * Roll back applied migrations.
+ *
+ * options
+ *     - dir        Migrations directory (Default: ./migrations).
+ *     - migrations Array of migration modules, used instead of `dir`.
+ *     - table      Bookkeeping table (Default: schema_migrations).
+ *     - steps      Number of migrations to roll back (Default: 1).
+ *     - to         Roll back every migration after this version.
+ *
+ * @param {Pool} pool
+ * @param {Object} options
+ * @param {Function(err, versions)} callback
+ * @api public
+ */
+
+exports.rollback = function(pool, options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+
+  var migrations = exports.load(options);
+  var byVersion = {};
+  migrations.forEach(function(migration) {
+    byVersion[migration.version] = migration;
+  });
+
+  session(pool, options, function(connection, applied, next) {
+    var versions = applied.slice().reverse();
+    if (options.to !== undefined) {
+      versions = versions.filter(function(version) {
+        return version > String(options.to);
+      });
+    }
+    else {
+      versions = versions.slice(0, options.steps || 1);
+    }
+    for (var len = versions.length, i=0; i<len; i++) {
+      if (!byVersion[versions[i]]) {
+        return next(new Error("Could not find migration " + versions[i] + "."));
+      }
+    }
+    async.eachSeries(versions, function(version, next) {
+      run(connection, byVersion[version], 'down', options, next);
+    }, function(err) {
+      next(err, versions);
+    });
+  }, callback);
+};
+
+/**
+ * Get the status of every known migration.
+ *
+ * Callback receives an array of `{ version, name, applied }` objects sorted by
+ * version, including applied versions without a migration module.
+ *
+ * @param {Pool} pool
+ * @param {Object} options same as `migrate()`
+ * @param {Function(err, status)} callback
+ * @api public
+ */
+
+exports.status = function(pool, options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+
+  var migrations = exports.load(options);
+
+  session(pool, options, function(connection, applied, next) {
+    var status = migrations.map(function(migration) {
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: applied.indexOf(migration.version) != -1
+      };
+    });
+    applied.forEach(function(version) {
+      for (var len = migrations.length, i=0; i<len; i++) {
+        if (migrations[i].version == version) return;
+      }
+      status.push({ version: version, name: null, applied: true });
+    });
+    status.sort(byVersion);
+    next(null, status);
+  }, callback);
+};
+
+/**
+ * Load migrations sorted by version from `options.migrations` or
+ * `options.dir`.
+ *
+ * @param {Object} options
+ * @return {Array}
+ * @api public
+ */
+
+exports.load = function(options) {
+  if (options.migrations) {
+    return options.migrations.map(function(migration) {
+      migration.version = String(migration.version);
+      return migration;
+    }).sort(byVersion);
+  }
+
+  var dir = path.resolve(options.dir || 'migrations');
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir).filter(function(file) {
+    return /^\d+[-_].+\.js$/.test(file);
+  }).map(function(file) {
+    var match = file.match(/^(\d+)[-_](.+)\.js$/);
+    var migration = require(path.join(dir, file));
+    migration.version = match[1];
+    migration.name = match[2];
+    return migration;
+  }).sort(byVersion);
+};
+
+/**
+ * Initialize a new `Migration` context passed to `up` and `down` steps.
+ *
+ * @param {Connection} connection
+ * @param {Transaction} transaction optional
+ * @api private
+ */
+
+function Migration(connection, transaction) {
+  this.connection = connection;
+  this.transaction = transaction || null;
+}
+
+exports.Migration = Migration;
+
+/**
+ * Run `statement` on the migration's connection.
+ *
+ * @param {String|Object} statement
+ * @param {Array} values optional
+ * @param {Function(err, rows, fields)} callback
+ * @api public
+ */
+
+Migration.prototype.query = function(statement, values, callback) {
+  if (typeof values == 'function') {
+    callback = values;
+    values = [];
+  }
+  this.connection.query(statement, values, callback);
+};
+
+/**
+ * Build SQL from mongo-sql `query`, using `Model.buildSQL` if given so
+ * attribute definitions are applied.
+ *
+ * @param {Object} query
+ * @param {Model} Model optional
+ * @return {Object}
+ * @api public
+ */
+
+Migration.prototype.buildSQL = function(query, Model) {
+  if (Model) return Model.buildSQL(query);
+  return mosql.sql(query);
+};
+
+/**
+ * Build and run mongo-sql `query`.
+ *
+ * @param {Object} query
+ * @param {Model} Model optional
+ * @param {Function(err, rows, fields)} callback
+ * @api public
+ */
+
+Migration.prototype.run = function(query, Model, callback) {
+  if (typeof Model == 'function' && !Model.attrs) {
+    callback = Model;
+    Model = null;
+  }
+  var sql = this.buildSQL(query, Model);
+  this.query(sql.query, sql.values, callback);
+};
+
+/**
+ * Create table for `Model` from its attribute definitions.
+ *
+ * @param {Model} Model
+ * @param {Object} options optional `engine` and `charset`
+ * @param {Function(err)} callback
+ * @api public
+ */
+
+Migration.prototype.createTable = function(Model, options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+  this.query(schema.createTable(Model, options), callback);
+};
+
+/**
+ * Drop table for `Model`.
+ *
+ * @param {Model} Model
+ * @param {Function(err)} callback
+ * @api public
+ */
+
+Migration.prototype.dropTable = function(Model, callback) {
+  this.query(schema.dropTable(Model), callback);
+};
+
+/**
+ * Pin a connection, make sure the bookkeeping table exists and call
+ * `fn(connection, appliedVersions, next)`.
+ *
+ * @param {Pool} pool
+ * @param {Object} options
+ * @param {Function(connection, applied, next)} fn
+ * @param {Function(err, result)} callback
+ * @api private
+ */
+
+function session(pool, options, fn, callback) {
+  var table = schema.quote(options.table || 'schema_migrations');
+
+  pool.getConnection(function(err, connection) {
+    if (err) return callback(err);
+    var done = function(err, result) {
+      connection.release();
+      callback(err, result);
+    };
+    connection.query(
+      'CREATE TABLE IF NOT EXISTS ' + table + ' (\n'
+      + '  "version" VARCHAR(255) NOT NULL,\n'
+      + '  "migrated_at" DATETIME NOT NULL,\n'
+      + '  PRIMARY KEY ("version")\n'
+      + ') ENGINE=InnoDB DEFAULT CHARSET=utf8',
+      [],
+      function(err) {
+        if (err) return done(err);
+        connection.query(
+          'SELECT "version" FROM ' + table + ' ORDER BY "version"',
+          [],
+          function(err, rows) {
+            if (err) return done(err);
+            var applied = (rows || []).map(function(row) {
+              return String(row.version);
+            });
+            fn(connection, applied, done);
+          }
+        );
+      }
+    );
+  });
+};
+
+/**
+ * Run `direction` step of `migration` and record it.
+ *
+ * @param {Connection} connection
+ * @param {Object} migration
+ * @param {String} direction `up` or `down`
+ * @param {Object} options
+ * @param {Function(err)} callback
+ * @api private
+ */
+
+function run(connection, migration, direction, options, callback) {
+  var table = schema.quote(options.table || 'schema_migrations');
+
+  if (typeof migration[direction] != 'function') {
+    return callback(new Error(
+      "Migration " + migration.version + " has no " + direction + " step."
+    ));
+  }
+
+  var body = function(tx, done) {
+    var m = new Migration(connection, tx);
+    migration[direction](m, function(err) {
+      if (err) return done(err);
+      if (direction == 'up') {
+        m.query(
+          'INSERT INTO ' + table + ' ("version", "migrated_at") VALUES ($1, NOW())',
+          [migration.version],
+          done
+        );
+      }
+      else {
+        m.query(
+          'DELETE FROM ' + table + ' WHERE "version" = $1',
+          [migration.version],
+          done
+        );
+      }
+    });
+  };
+
+  if (migration.transaction === false) {
+    return body(null, function(err) {
+      callback(err);
+    });
+  }
+
+  new Transaction(connection).run(body, function(err) {
+    callback(err);
+  });
+};
+
+/**
+ * Sort migrations by version.
+ *
+ * @api private
+ */
+
+function byVersion(a, b) {
+  if (a.version < b.version) return -1;
+  if (a.version > b.version) return 1;
+  return 0;
+};
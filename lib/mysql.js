@@ -8,11 +8,28 @@
  */
 
 var async    = require('async')
+  , crypto   = require('crypto')
   , extend   = require('extend')
   , modella  = require('modella')
   , lingo    = require('lingo').en
   , mosql    = require('mongo-sql')
-  , mysql    = require('mysql');
+  , mysql    = require('mysql')
+  , schema   = require('./schema')
+  , stream   = require('stream');
+
+var introspection = require('./introspect');
+var migrations = require('./migrate');
+var Transaction = require('./transaction');
+var Query = require('./query');
+var isDeadlock = Transaction.isDeadlock;
+var StaleObjectError = require('./errors').StaleObjectError;
+var normalizeWhere = Query.normalizeWhere;
+
+// Compare binary columns with a buffer, which mongo-sql would otherwise treat
+// as an object of conditions.
+mosql.registerConditionalHelper('$binary', { cascade: false }, function(column, value, values) {
+  return column + ' = $' + values.push(value);
+});
 
 module.exports = plugin;
 
@@ -20,6 +37,71 @@ module.exports = plugin;
 // If you want to access the Model's db connection, use `Model.db` (a pool).
 module.exports.adapter = mysql;
 
+module.exports.Transaction = Transaction;
+
+module.exports.StaleObjectError = StaleObjectError;
+
+/**
+ * Run pending migrations using the connection pool for `settings`.
+ *
+ * @see migrate.migrate
+ * @param {Object} settings
+ * @param {Object} options
+ * @param {Function(err, versions)} callback
+ * @api public
+ */
+
+module.exports.migrate = function(settings, options, callback) {
+  migrations.migrate(connect(settings), options, callback);
+};
+
+/**
+ * Roll back migrations using the connection pool for `settings`.
+ *
+ * @see migrate.rollback
+ * @param {Object} settings
+ * @param {Object} options
+ * @param {Function(err, versions)} callback
+ * @api public
+ */
+
+module.exports.rollback = function(settings, options, callback) {
+  migrations.rollback(connect(settings), options, callback);
+};
+
+/**
+ * Get migration status using the connection pool for `settings`.
+ *
+ * @see migrate.status
+ * @param {Object} settings
+ * @param {Object} options
+ * @param {Function(err, status)} callback
+ * @api public
+ */
+
+module.exports.status = function(settings, options, callback) {
+  migrations.status(connect(settings), options, callback);
+};
+
+/**
+ * Generate model sources from the database for `settings`.
+ *
+ * @see introspect.introspect
+ * @param {Object} settings
+ * @param {Object} options
+ * @param {Function(err, files)} callback
+ * @api public
+ */
+
+module.exports.introspect = function(settings, options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+  options.settings = options.settings || settings;
+  introspection.introspect(connect(settings), options, callback);
+};
+
 var Model = module.exports.Model = {};
 var proto = module.exports.proto = {};
 
@@ -27,8 +109,22 @@ var proto = module.exports.proto = {};
  * Initialize a new MySQL plugin with given `settings`.
  *
  * options
- *     - maxLimit  Maximum size of query limit parameter (Default: 200).
- *     - tableName MySQL table name for this Model.
+ *     - maxLimit               Maximum size of query limit parameter
+ *                              (Default: 200).
+ *     - tableName              MySQL table name for this Model.
+ *     - maxAllowedPacket       Maximum statement size used by `createMany`
+ *                              (Default: server's `max_allowed_packet`).
+ *     - autoIncrementIncrement Step between generated ids (Default: 1).
+ *     - keyStrategy            How primary keys of new rows are set: `auto`
+ *                              (AUTO_INCREMENT), `uuid` (generated UUID) or
+ *                              `manual` (Default: auto).
+ *     - binaryUuid             Store the primary key as BINARY(16).
+ *     - primaryKey             Primary key attribute, or an array of
+ *                              attributes for a composite key.
+ *     - lockVersion            Attribute used for optimistic locking, or
+ *                              `true` for `lock_version`.
+ *     - softDelete             Set this date attribute instead of deleting
+ *                              rows, or `true` for `deleted_at`.
  *
  * @param {Object} settings database settings for github.com/felixge/node-mysql
  * @param {Object} options options for this plugin instance
@@ -44,17 +140,11 @@ function plugin(settings, options) {
   return function(Model) {
 
     // Models share connection pool through shared settings object
-    if (!settings.pool) {
-      settings.multipleStatement = true;
-      settings.pool = mysql.createPool(settings);
-      settings.pool.on('connection', configureConnection);
-      process.once('exit', settings.pool.end.bind(settings.pool));
-    }
-
-    Model.db = settings.pool;
+    Model.db = connect(settings);
     Model.db.settings = settings;
     Model.db.options = options;
     Model.relations = Model.relations || {};
+    Model.scopes = Model.scopes || {};
 
     if (options.tableName) {
       Model.tableName = options.tableName;
@@ -63,16 +153,78 @@ function plugin(settings, options) {
       Model.tableName = lingo.singularize(Model.modelName.toLowerCase());
     }
 
+    if (options.primaryKey) {
+      Model.primaryKeys = [].concat(options.primaryKey);
+      Model.primaryKey = Model.primaryKeys[0];
+      for (var attr in Model.attrs) {
+        if (~Model.primaryKeys.indexOf(attr)) Model.attrs[attr].primaryKey = true;
+        else delete Model.attrs[attr].primaryKey;
+      }
+    }
+    var composite = primaryKeys(Model).length > 1;
+
+    Model.keyStrategy = options.keyStrategy || Model.keyStrategy
+      || (composite ? 'manual' : 'auto');
+    if (!~['auto', 'uuid', 'manual'].indexOf(Model.keyStrategy)) {
+      throw new Error("Invalid key strategy " + Model.keyStrategy + ".");
+    }
+    if (composite && Model.keyStrategy != 'manual') {
+      throw new Error("Composite primary keys must use the manual key strategy.");
+    }
+    if (options.binaryUuid && Model.attrs[Model.primaryKey]) {
+      Model.attrs[Model.primaryKey].binaryUuid = true;
+    }
+
+    if (options.lockVersion) {
+      Model.lockVersion = options.lockVersion === true ? 'lock_version' : options.lockVersion;
+      if (!Model.attrs[Model.lockVersion]) {
+        Model.attr(Model.lockVersion, { type: 'number', nullable: false, defaultValue: 0 });
+      }
+    }
+
+    if (options.softDelete) {
+      Model.softDelete = options.softDelete === true ? 'deleted_at' : options.softDelete;
+      if (!Model.attrs[Model.softDelete]) {
+        Model.attr(Model.softDelete, { type: 'date', columnType: 'datetime' });
+      }
+    }
+
     extend(Model, mixins);
+    extend(Model.prototype, proto);
 
     Model.on('setting', formatAttrs);
     Model.on('initializing', formatAttrs);
 
+    // Return promises from `model.save()` and `model.remove()` if no
+    // callback is given.
+    ['save', 'remove'].forEach(function(method) {
+      var fn = Model.prototype[method];
+      Model.prototype[method] = function() {
+        if (typeof arguments[arguments.length - 1] == 'function') {
+          return fn.apply(this, arguments);
+        }
+        return promise(this, fn, arguments);
+      };
+    });
+
+    // With client-supplied keys, models are new until saved or loaded
+    var isNew = Model.prototype.isNew;
+    Model.prototype.isNew = function() {
+      if (this.model.keyStrategy == 'auto') return isNew.call(this);
+      return !this.persisted;
+    };
+
     var toJSON = Model.prototype.toJSON
     Model.prototype.toJSON = function() {
       var json = toJSON.call(this);
       if (typeof this.related == 'object') {
-        json.related = this.related;
+        json.related = {};
+        for (var name in this.related) {
+          var related = this.related[name];
+          json.related[name] = Array.isArray(related)
+            ? related.map(function(model) { return model.toJSON(); })
+            : related && related.toJSON();
+        }
       }
       return json;
     };
@@ -94,6 +246,14 @@ function plugin(settings, options) {
  *
  *     var post = user.posts.create();
  *
+ * Accessors return a promise if no callback is given.
+ *
+ * With `polymorphic` set to the name of a polymorphic "belongs to" relation
+ * of `anotherModel`, related models are those with this model's key in
+ * `<name>_id` and its name in `<name>_type`:
+ *
+ *     Post.hasMany(Comment, { as: 'comments', polymorphic: 'commentable' });
+ *
  * @param {String} name
  * @param {Object} params The `model` constructor and `foreignKey` name are required.
  * @return {Model}
@@ -106,11 +266,18 @@ Model.hasMany = function(anotherModel, params) {
     anotherModel = params.model;
   }
 
+  params.type = 'hasMany';
   params.model = anotherModel;
+  params.owner = this;
 
   if (!params.as) {
     params.as = lingo.pluralize(anotherModel.modelName.toLowerCase());
   }
+  if (params.polymorphic) {
+    params.foreignKey = params.foreignKey || params.polymorphic + '_id';
+    params.typeKey = params.typeKey || params.polymorphic + '_type';
+    params.typeValue = this.modelName;
+  }
 
   // corresponds to `user.posts()`
   var asAll = function(query, cb) {
@@ -118,6 +285,7 @@ Model.hasMany = function(anotherModel, params) {
       cb = query;
       query = {};
     }
+    query = query || {};
     var where = query.where = (query.where || {});
     if (params.through) {
       query.innerJoin = {};
@@ -134,22 +302,117 @@ Model.hasMany = function(anotherModel, params) {
     else {
       where[params.foreignKey] = this.primary();
     }
+    if (params.typeKey) where[params.typeKey] = params.typeValue;
     query.where = where;
-    anotherModel.all(query, cb);
+    return anotherModel.all(query, cb);
   };
 
   // corresponds to `user.posts.create()`
   asAll.create = function(data) {
     data[params.foreignKey] = this.model.primary();
+    if (params.typeKey) data[params.typeKey] = params.typeValue;
     return new anotherModel(data);
   };
 
   this.on('initialize', function(model) {
-    model[params.as] = asAll;
-    model[params.as].model = model;
+    var accessor = model[params.as] = function(query, cb) {
+      return asAll.call(model, query, cb);
+    };
+    accessor.model = model;
+    accessor.create = asAll.create;
   });
 
+  referenceKey(this, params.through || anotherModel, params.foreignKey);
+  if (params.through && params.throughKey) {
+    referenceKey(anotherModel, params.through, params.throughKey);
+  }
+
   this.relations = this.relations || {};
+  this.relations[params.as] = params;
+
+  if (params.polymorphic) {
+    // Filter by parent with `Comment.all({ post: 1 })`
+    anotherModel.relations[lingo.singularize(this.modelName).toLowerCase()] = params;
+    var parent = anotherModel.relations[params.polymorphic];
+    if (parent && parent.polymorphic === true) {
+      parent.models[this.modelName] = this;
+    }
+  }
+  else {
+    anotherModel.relations[params.foreignKey] = params;
+  }
+
+  return this;
+};
+
+/**
+ * Define a "has one" relationship.
+ *
+ * @example
+ *
+ *     User.hasOne(Profile, { as: 'profile', foreignKey: 'user_id' });
+ *
+ *     user.profile(function(err, profile) {
+ *       // profile or null
+ *     });
+ *
+ *     var profile = user.profile.build({ bio: '...' });
+ *     user.profile.create({ bio: '...' }, function(err, profile) {
+ *       // ...
+ *     });
+ *
+ * Accessors return a promise if no callback is given.
+ *
+ * @param {Model} anotherModel
+ * @param {Object} params optional `as` and `foreignKey` names
+ * @return {Model}
+ * @api public
+ */
+
+Model.hasOne = function(anotherModel, params) {
+  params = params || {};
+  params.type = 'hasOne';
+  params.model = anotherModel;
+  params.owner = this;
+
+  if (!params.as) {
+    params.as = lingo.singularize(anotherModel.modelName).toLowerCase();
+  }
+  if (!params.foreignKey) {
+    params.foreignKey = (this.modelName + '_' + this.primaryKey).toLowerCase();
+  }
+
+  this.on('initialize', function(model) {
+    // corresponds to `user.profile()`
+    var accessor = model[params.as] = function(cb) {
+      var query = { where: {}, limit: 1, count: 'none' };
+      query.where[params.foreignKey] = model.primary();
+      if (typeof cb != 'function') {
+        return anotherModel.all(query).then(function(result) {
+          return result.data[0] || null;
+        });
+      }
+      anotherModel.all(query, function(err, result) {
+        if (err) return cb(err);
+        cb(null, result.data[0] || null);
+      });
+    };
+
+    // corresponds to `user.profile.build()`
+    accessor.build = function(data) {
+      data = extend({}, data);
+      data[params.foreignKey] = model.primary();
+      return new anotherModel(data);
+    };
+
+    // corresponds to `user.profile.create()`
+    accessor.create = function(data, cb) {
+      return accessor.build(data).save(cb);
+    };
+  });
+
+  referenceKey(this, anotherModel, params.foreignKey);
+
   this.relations[params.as] = params;
   anotherModel.relations[params.foreignKey] = params;
 
@@ -157,37 +420,113 @@ Model.hasMany = function(anotherModel, params) {
 };
 
 /**
- * Define a "belongs to" relationship.
+ * Define a "belongs to" relationship: models of `anotherModel` belong to
+ * this model through their `foreignKey`.
+ *
+ * The relation can be included in `Model.all()` and `Model.find()` queries
+ * of `anotherModel`, and used to filter them: `Post.all({ author: 1 })`.
  *
  * @example
  *
- *     Post.belongsTo(User, { as: 'author', foreignKey: 'userId' });
+ *     User.belongsTo(Post, { as: 'author', foreignKey: 'user_id' });
  *
  *     post.author(function(err, user) {
  *       // ...
  *     });
  *
- * @param {Model} Owner
+ * A polymorphic relation is defined on the model itself, with its name. It
+ * stores the parent's key in `<name>_id` and its model name in `<name>_type`,
+ * and its parents are the models declaring a polymorphic "has many" relation
+ * with the same name:
+ *
+ *     Comment.belongsTo('commentable', { polymorphic: true });
+ *     Post.hasMany(Comment, { as: 'comments', polymorphic: 'commentable' });
+ *
+ *     comment.commentable(function(err, postOrPhoto) {
+ *       // ...
+ *     });
+ *
+ * @param {Model|String} anotherModel or the name of a polymorphic relation
  * @param {Object} params The `foreignKey` name is required.
  * @api public
  */
 
 Model.belongsTo = function(anotherModel, params) {
+  if (typeof anotherModel == 'string') {
+    params.as = anotherModel;
+    return belongsToPolymorphic(this, params);
+  }
+
+  params.type = 'belongsTo';
+  params.model = this;
+  params.owner = anotherModel;
+
   if (!params.as) {
-    params.as = lingo.singularize(anotherModel.modelName).toLowerCase();
+    params.as = lingo.singularize(this.modelName).toLowerCase();
   }
 
   anotherModel.prototype[params.as] = function(cb) {
     var query = {};
-    query[anotherModel.primaryKey] = this[params.foreignKey]();
-    anotherModel.find(query, cb);
+    query[params.model.primaryKey] = this[params.foreignKey]();
+    return params.model.find(query, cb);
   };
 
-  anotherModel.relations[this.primaryKey] = params;
+  if (anotherModel.attrs[params.foreignKey]) {
+    referenceKey(this, anotherModel, params.foreignKey);
+  }
+  else {
+    referenceKey(anotherModel, this, params.foreignKey);
+  }
+
+  anotherModel.relations[params.as] = params;
 
   return this;
 };
 
+/**
+ * Define polymorphic "belongs to" relation `params.as` of `Model`, with
+ * parents of any model declaring a "has many" relation with the same
+ * `polymorphic` name.
+ *
+ * @param {Model} Model
+ * @param {Object} params optional `foreignKey` and `typeKey` names
+ * @return {Model}
+ * @api private
+ */
+
+function belongsToPolymorphic(Model, params) {
+  params.type = 'belongsTo';
+  params.polymorphic = true;
+  params.owner = Model;
+  params.models = {};
+  params.foreignKey = params.foreignKey || params.as + '_id';
+  params.typeKey = params.typeKey || params.as + '_type';
+
+  // Parents declared before this relation
+  for (var key in Model.relations) {
+    var relation = Model.relations[key];
+    if (relation.type == 'hasMany' && relation.polymorphic == params.as) {
+      params.models[relation.owner.modelName] = relation.owner;
+    }
+  }
+
+  Model.prototype[params.as] = function(cb) {
+    if (typeof cb != 'function') return promise(this, this[params.as], arguments);
+    var id = this[params.foreignKey]();
+    var type = this[params.typeKey]();
+    if (id == null || type == null) return cb(null, null);
+    var Parent = params.models[type];
+    if (!Parent) return cb(unknownType(Model, params, type));
+    var query = {};
+    query[Parent.primaryKey] = id;
+    Parent.find(query, cb);
+  };
+
+  Model.relations[params.as] = params;
+
+  return Model;
+};
+
 /**
  * Define a "has and belongs to many" relationship.
  *
@@ -235,7 +574,13 @@ Model.hasAndBelongsToMany = function(anotherModel, params) {
     if (this.modelName > anotherModel.modelName) {
       name = anotherModel.modelName + this.modelName;
     }
-    params.through = modella(name).use(plugin(this.db.settings));;
+    params.through = modella(name)
+      .attr(params.fromKey, keyDefinition(this))
+      .attr(params.toKey, extend(keyDefinition(anotherModel), { index: true }))
+      .use(plugin(this.db.settings, {
+        primaryKey: [params.fromKey, params.toKey]
+      }));
+    params.through.implicit = true;
     params.through.tableName = this.modelName + '_' + anotherModel.modelName;
     if (this.modelName > anotherModel.modelName) {
       params.through.tableName = anotherModel.modelName + '_' + this.modelName;
@@ -243,8 +588,8 @@ Model.hasAndBelongsToMany = function(anotherModel, params) {
     params.through.tableName = params.through.tableName.toLowerCase();
   }
 
-  params.through.belongsTo(this, { foreignKey: params.fromKey });
-  params.through.belongsTo(anotherModel, { foreignKey: params.toKey });
+  this.belongsTo(params.through, { foreignKey: params.fromKey });
+  anotherModel.belongsTo(params.through, { foreignKey: params.toKey });
 
   this.hasMany(anotherModel, {
     as: params.as,
@@ -253,546 +598,2569 @@ Model.hasAndBelongsToMany = function(anotherModel, params) {
     throughKey: params.toKey
   });
 
+  this.on('initialize', function(model) {
+    extend(model[params.as], linkMethods(model, params));
+  });
+
   return this;
 };
 
 /**
- * Find all models with given `query`.
+ * Return the `add()`, `remove()`, `set()` and `has()` methods of `model`'s
+ * "has and belongs to many" accessor, which write the rows of
+ * `params.through`.
  *
- * @param {Object} query
- * @param {Function(err, collection)} callback
- * @api public
+ * Related models are given as models or keys, alone or in an array. Methods
+ * take optional `transaction` options and return a promise if no callback is
+ * given.
+ *
+ * @param {Model} model
+ * @param {Object} params
+ * @return {Object}
+ * @api private
  */
 
-Model.all = function(query, callback) {
-  if (!query.offset) query.offset = 0;
-  if (!query.limit) query.limit = 50;
-  if (query.pageSize) {
-    query.limit = query.pageSize;
-    delete query.pageSize;
-  }
-  if (query.page) {
-    query.offset = query.page * query.limit;
-    delete query.page;
-  }
-  if (query.limit > this.db.options.maxLimit) {
-    query.limit = this.db.options.maxLimit;
-  }
-  var self = this;
-  var ids = [];
-  var results = {
-    data: [],
-    limit: Number(query.limit || 50),
-    offset: Number(query.offset || 0),
-    total: 0
+function linkMethods(model, params) {
+  var Through = params.through;
+  var methods = {};
+
+  // Keys of the related models linked to `model`, of `keys` if given
+  var linked = function(keys, tx, lock, callback) {
+    var where = {};
+    where[params.fromKey] = model.primary();
+    if (keys) where[params.toKey] = { $in: keys };
+    var sql = Through.buildSQL({
+      type: 'select',
+      columns: [
+        { name: params.toKey, table: Through.tableName }
+      ],
+      table: Through.tableName,
+      where: where
+    });
+    Through.query(sql.query + (lock ? ' FOR UPDATE' : ''), sql.values, tx, function(err, rows) {
+      if (err) return callback(err);
+      callback(null, rows.map(function(row) {
+        return hydrate(Through, stripTableName(row, Through.tableName)).attrs[params.toKey];
+      }));
+    });
   };
-  var include = query.include;
-  async.series([
-    function(next) {
-      if (!query.include) return next();
-      delete query.include;
-      var sql = self.buildSQL(extend({
-        type: 'select',
-        columns: [
-          { name: 'id', table: self.tableName }
-        ],
-        table: self.tableName
-      }, query));
-      self.query({ sql: sql.query }, sql.values, function(err, rows) {
-        if (err) return next(err);
-        if (!rows || !rows.length) return next();
-        results.total = rows[0]._count;
-        for (var len = rows.length, i=0; i<len; i++) {
-          ids.push(rows[i].id);
-        }
-        next();
-      });
-    },
-    function(next) {
-      extend(query, {
-        type: 'select',
-        columns: [
-          'COUNT(*) as _count'
-        ],
-        table: self.tableName
-      });
-      var sql = self.buildSQL(query);
-      self.query({ sql: sql.query }, sql.values, function(err, rows) {
-        if (err) return next(err);
-        if (!rows || !rows.length) return next();
-        results.total = rows[0]._count;
-        next();
-      });
-    },
-    function(next) {
-      extend(query, {
-        type: 'select',
-        columns: [
-          { name: '*', table: self.tableName }
-        ],
-        table: self.tableName
-      });
-      if (include) {
-        query.include = include;
-        delete query.limit;
-        delete query.offset;
-        query.where = { id: { $in: ids } };
-      }
-      var sql = self.buildSQL(query);
-      self.query(sql.query, sql.values, function(err, rows) {
-        if (err) return next(err);
-        if (!rows || !rows.length) return next();
-        for (var len = rows.length, i=0; i<len; i++) {
-          results.data.push(
-            new (this)(stripTableName(rows[i], self.tableName))
-          );
-        }
-        if (sql.relations) {
-          // Remove dupes because outer join creates dupes
-          var ids = {};
-          var data = [];
-          for (var len = results.data.length, i=0; i<len; i++) {
-            if (!ids[results.data[i].primary()]) {
-              ids[results.data[i].primary()] = 1;
-              data.push(results.data[i]);
-            }
-          }
-          results.data = data;
-          for (var plural in sql.relations) {
-            var relation = sql.relations[plural];
-            for (var l = results.data.length, ii=0; ii<l; ii++) {
-              var model = results.data[ii];
-              model.related = model.related || {};
-              model.related[plural] = model.related[plural] || [];
-              for (var len = rows.length, i=0; i<len; i++) {
-                var foreignkey = rows[i][(relation.through || relation.model).tableName + '_foreign_key'];
-                if (foreignkey == model.primary()) {
-                  var related = new relation.model(
-                    stripTableName(rows[i], relation.model.tableName)
-                  );
-                  model.related[plural].push(related);
-                }
-              }
-            }
-          }
-        }
-        next();
+
+  var link = function(keys, tx, callback) {
+    if (!keys.length) return callback();
+    var sql = Through.buildSQL({
+      type: 'insert',
+      table: Through.tableName,
+      values: keys.map(function(key) {
+        var values = {};
+        values[params.fromKey] = model.primary();
+        values[params.toKey] = key;
+        return values;
+      })
+    });
+    // Ignore links added concurrently
+    var column = schema.quote(Through.attrs[params.fromKey]
+      ? schema.columnName(Through, params.fromKey)
+      : params.fromKey);
+    sql.query += ' on duplicate key update ' + column + ' = ' + column;
+    Through.query(sql.query, sql.values, tx, callback);
+  };
+
+  var unlink = function(keys, tx, callback) {
+    if (keys && !keys.length) return callback();
+    var where = {};
+    where[params.fromKey] = model.primary();
+    if (keys) where[params.toKey] = { $in: keys };
+    var sql = Through.buildSQL({
+      type: 'delete',
+      table: Through.tableName,
+      where: where
+    });
+    Through.query(sql.query, sql.values, tx, callback);
+  };
+
+  // corresponds to `post.tags.add()`
+  methods.add = function(related, options, callback) {
+    if (typeof options == 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback != 'function') {
+      return promise(this, methods.add, [related, options]);
+    }
+    link(relatedKeys(related), (options || {}).transaction, function(err) {
+      callback(err);
+    });
+  };
+
+  // corresponds to `post.tags.remove()`
+  methods.remove = function(related, options, callback) {
+    if (typeof options == 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback != 'function') {
+      return promise(this, methods.remove, [related, options]);
+    }
+    unlink(relatedKeys(related), (options || {}).transaction, function(err) {
+      callback(err);
+    });
+  };
+
+  // corresponds to `post.tags.set()`
+  methods.set = function(related, options, callback) {
+    if (typeof options == 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback != 'function') {
+      return promise(this, methods.set, [related, options]);
+    }
+    var keys = relatedKeys(related);
+    Through.transaction((options || {}).transaction, function(tx, done) {
+      linked(null, tx, true, function(err, existing) {
+        if (err) return done(err);
+        unlink(without(existing, keys), tx, function(err) {
+          if (err) return done(err);
+          link(without(keys, existing), tx, done);
+        });
       });
+    }, function(err) {
+      callback(err);
+    });
+  };
+
+  // corresponds to `post.tags.has()`
+  methods.has = function(related, options, callback) {
+    if (typeof options == 'function') {
+      callback = options;
+      options = {};
     }
-  ], function(err) {
-    if (err) return callback(err);
-    callback(null, results);
-  });
+    if (typeof callback != 'function') {
+      return promise(this, methods.has, [related, options]);
+    }
+    var keys = relatedKeys(related);
+    if (!keys.length) return callback(null, false);
+    linked(keys, (options || {}).transaction, false, function(err, existing) {
+      if (err) return callback(err);
+      callback(null, !without(keys, existing).length);
+    });
+  };
+
+  return methods;
 };
 
 /**
- * Find model with given `id`.
+ * Return the unique primary keys of `related` models or keys.
  *
- * @param {Number|Object} id or query
- * @param {Function(err, model)} callback
- * @api public
+ * @param {Model|Mixed|Array} related
+ * @return {Array}
+ * @api private
  */
 
-Model.find = Model.get = function(id, callback) {
+function relatedKeys(related) {
+  var keys = [];
+  [].concat(related == null ? [] : related).forEach(function(related) {
+    var key = related && typeof related.primary == 'function'
+      ? related.primary()
+      : related;
+    if (key != null && !~keys.indexOf(key)) keys.push(key);
+  });
+  return keys;
+};
+
+/**
+ * Return the keys of `keys` not in `other`, compared as strings.
+ *
+ * @param {Array} keys
+ * @param {Array} other
+ * @return {Array}
+ * @api private
+ */
+
+function without(keys, other) {
+  other = other.map(String);
+  return keys.filter(function(key) {
+    return !~other.indexOf(String(key));
+  });
+};
+
+/**
+ * Set the default scope, merged into queries of `Model.all()`,
+ * `Model.find()`, `Model.stream()`, `Model.removeAll()` and "has many"
+ * accessors.
+ *
+ * Where conditions are combined with those of the query, includes are
+ * joined, and the query's order and other parameters take precedence.
+ *
+ * @example
+ *
+ *     Post.defaultScope({ where: { published: true }, order: '-created_at' });
+ *
+ * @param {Object} query
+ * @return {Model}
+ * @api public
+ */
+
+Model.defaultScope = function(query) {
+  this.defaultQuery = query;
+  return this;
+};
+
+/**
+ * Define named scope `name` as a query, or as a function returning one.
+ *
+ * Adds `Model[name]()`, which returns a query with `all`, `find`,
+ * `removeAll` and the other named scopes.
+ *
+ * @example
+ *
+ *     Post.scope('recent', function(days) {
+ *       return { where: { created_at: { $gt: daysAgo(days) }}};
+ *     });
+ *
+ *     Post.recent(7).all(function(err, posts) {
+ *       // ...
+ *     });
+ *
+ * @param {String} name
+ * @param {Object|Function} query
+ * @return {Model}
+ * @api public
+ */
+
+Model.scope = function(name, query) {
+  if (this[name] && !this.scopes[name]) {
+    throw new Error("Scope " + name + " conflicts with " + this.modelName + "." + name + ".");
+  }
+  this.scopes[name] = query;
+  this[name] = function() {
+    return new Query(this).scope(name, [].slice.call(arguments));
+  };
+  return this;
+};
+
+/**
+ * Return a query that bypasses the default scope.
+ *
+ * Set `query.unscoped` to do the same for a single query.
+ *
+ * @example
+ *
+ *     Post.unscoped().all(function(err, posts) {
+ *       // ...
+ *     });
+ *
+ * @return {Query}
+ * @api public
+ */
+
+Model.unscoped = function() {
+  return new Query(this, {}, true);
+};
+
+/**
+ * Start a query builder with `Model.where()`, `Model.order()`,
+ * `Model.include()`, `Model.limit()`, `Model.offset()` or `Model.page()`.
+ *
+ * Queries are immutable and compile to the query objects taken by
+ * `Model.all()`. Run them with `all`, `first`, `count`, `remove` or
+ * `stream`.
+ *
+ * @example
+ *
+ *     User.where({ active: true }).order('-created_at').limit(20).page(3)
+ *       .all(function(err, result) {
+ *         // ...
+ *       });
+ *
+ * @return {Query}
+ * @api public
+ */
+
+['where', 'order', 'include', 'limit', 'offset', 'page'].forEach(function(method) {
+  Model[method] = function() {
+    var query = new Query(this);
+    return query[method].apply(query, arguments);
+  };
+});
+
+/**
+ * Create the table for this model, and the join tables created by
+ * `hasAndBelongsToMany` without a `through` model, if they do not exist.
+ *
+ * options
+ *     - force   Drop existing tables first.
+ *     - engine  Table engine (Default: InnoDB).
+ *     - charset Default character set (Default: utf8).
+ *
+ * @param {Object} options
+ * @param {Function(err, statements)} callback
+ * @api public
+ */
+
+Model.sync = function(options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
   var self = this;
-  var query = typeof id == 'object' ? id : { where: { id: id } };
-  var sql = this.buildSQL(extend({
-    type: 'select',
-    columns: [
-      { name: '*', table: self.tableName }
-    ],
-    table: this.tableName
-  }, query));
-  this.query(sql.query, sql.values, function(err, rows, fields) {
+  var models = [this];
+  var statements = [];
+
+  for (var key in this.relations) {
+    var through = this.relations[key].through;
+    if (through && through.implicit && models.indexOf(through) == -1) {
+      models.push(through);
+    }
+  }
+
+  models.forEach(function(Model) {
+    if (options.force) statements.push(schema.dropTable(Model));
+    statements.push(schema.createTable(Model, options));
+  });
+
+  async.eachSeries(statements, function(sql, next) {
+    self.query(sql, [], next);
+  }, function(err) {
     if (err) return callback(err);
-    if (!rows || !rows.length) {
-      var error = new Error("Could not find " + id + ".");
-      error.code = error.status = 404;
-      return callback(error);
+    callback(null, statements);
+  });
+};
+
+/**
+ * Compare this model's attribute definitions and relations with the live
+ * table, and build the `ALTER TABLE` statements that would reconcile them.
+ *
+ * options
+ *     - drop Include `DROP` statements for columns not defined on the model.
+ *
+ * @param {Object} options
+ * @param {Function(err, diff)} callback
+ * @api public
+ */
+
+Model.diff = function(options, callback) {
+  schema.diff(this, options, callback);
+};
+
+/**
+ * Find all models with given `query`.
+ *
+ * Pass `query.transaction` to run on a transaction's connection, and
+ * `query.lock` to lock the selected rows until the transaction ends (see
+ * `Model.find()`).
+ * Returns a promise if no `callback` is given.
+ *
+ * Passing `query.after` or `query.before` switches from offset to keyset
+ * pagination: rows are ordered by `query.order` plus the primary key and
+ * selected after (or before) the given cursor, ignoring `offset`. Results
+ * include `nextCursor` and `prevCursor` for the following and preceding
+ * pages. An empty cursor starts at the first (or last) page.
+ *
+ * `query.count` sets how `total` is computed:
+ *
+ *     - exact      Run a separate `COUNT(*)` query (Default).
+ *     - none       Skip counting. `hasMore` is set by fetching one extra row.
+ *     - found_rows Use `SQL_CALC_FOUND_ROWS` and `FOUND_ROWS()` on the same
+ *                  connection.
+ *     - estimate   Use the row estimate from `EXPLAIN`.
+ *
+ * `query.include` names relations to load into `model.related`, with dots
+ * for nested relations (`posts.comments,groups`). Each level is loaded with
+ * a separate `WHERE fk IN (...)` query.
+ *
+ * @param {Object} query
+ * @param {Function(err, collection)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.all = function(query, callback) {
+  if (typeof callback != 'function') return promise(this, this.all, arguments);
+  query = query || {};
+  applyScope(this, query);
+  var tx = query.transaction;
+  delete query.transaction;
+  if (!query.offset) query.offset = 0;
+  if (!query.limit) query.limit = 50;
+  if (query.pageSize) {
+    query.limit = query.pageSize;
+    delete query.pageSize;
+  }
+  if (query.page) {
+    query.offset = query.page * query.limit;
+    delete query.page;
+  }
+  if (query.limit > this.db.options.maxLimit) {
+    query.limit = this.db.options.maxLimit;
+  }
+  var self = this;
+  var results = {
+    data: [],
+    limit: Number(query.limit || 50),
+    offset: Number(query.offset || 0),
+    total: 0
+  };
+  var count = query.count || 'exact';
+  delete query.count;
+  if (!~['exact', 'none', 'found_rows', 'estimate'].indexOf(count)) {
+    var error = new Error("Invalid count " + count + ".");
+    error.code = error.status = 400;
+    return callback(error);
+  }
+  if (count == 'none') results.total = null;
+  try {
+    var lock = parseLock(query, tx);
+  }
+  catch (err) {
+    return callback(err);
+  }
+  var keyset = null;
+  if ('after' in query || 'before' in query) {
+    try {
+      keyset = parseKeyset(this, query);
+    }
+    catch (err) {
+      return callback(err);
+    }
+    results.offset = 0;
+  }
+  scopeDeleted(this, query);
+  var include = query.include;
+  delete query.include;
+  // Fetch one extra row to know whether there is another page
+  var extra = keyset || count == 'none';
+  // FOUND_ROWS() must run on the connection that ran the query
+  var connection = tx;
+  async.series([
+    function(next) {
+      if (connection || count != 'found_rows') return next();
+      self.db.getConnection(function(err, conn) {
+        if (err) return next(err);
+        connection = conn;
+        next();
+      });
+    },
+    function(next) {
+      if (count == 'none' || count == 'found_rows') return next();
+      // Count all matching rows, not the page
+      var countQuery = extend({}, query, {
+        type: 'select',
+        columns: [
+          count == 'estimate' ? { name: '*', table: self.tableName } : 'COUNT(*) as _count'
+        ],
+        table: self.tableName
+      });
+      ['limit', 'offset', 'order', 'sort'].forEach(function(key) {
+        delete countQuery[key];
+      });
+      var sql = self.buildSQL(countQuery);
+      if (count == 'estimate') sql.query = 'EXPLAIN ' + sql.query;
+      self.query({ sql: sql.query }, sql.values, connection, function(err, rows) {
+        if (err) return next(err);
+        if (!rows || !rows.length) return next();
+        if (count == 'estimate') {
+          results.total = Number(rows[0].rows) || 0;
+          results.estimated = true;
+        }
+        else {
+          results.total = rows[0]._count;
+        }
+        next();
+      });
+    },
+    function(next) {
+      if (keyset) {
+        query.where = { $and: [query.where || {}, keyset.where] };
+        delete query.offset;
+      }
+      if (extra) query.limit = results.limit + 1;
+      extend(query, {
+        type: 'select',
+        columns: [
+          { name: '*', table: self.tableName }
+        ],
+        table: self.tableName
+      });
+      var sql = self.buildSQL(query);
+      if (count == 'found_rows') sql.query = calcFoundRows(sql.query);
+      if (lock) sql.query += lock;
+      self.query(sql.query, sql.values, connection, function(err, rows) {
+        if (err) return next(err);
+        if (!rows || !rows.length) return next();
+        for (var len = rows.length, i=0; i<len; i++) {
+          results.data.push(
+            hydrate(self, stripTableName(rows[i], self.tableName))
+          );
+        }
+        next();
+      });
+    },
+    function(next) {
+      if (count != 'found_rows') return next();
+      foundRows(next);
+    }
+  ], function(err) {
+    if (connection && connection !== tx) connection.release();
+    if (err) return callback(err);
+    if (extra) {
+      results.hasMore = results.data.length > results.limit;
+      if (results.hasMore) results.data.splice(results.limit);
+    }
+    if (keyset) paginateKeyset(self, keyset, results);
+    preload(self, results.data, include, tx, function(err) {
+      if (err) return callback(err);
+      callback(null, results);
+    });
+  });
+
+  function foundRows(next) {
+    connection.query('SELECT FOUND_ROWS() AS "_count"', [], function(err, rows) {
+      if (err) return next(err);
+      results.total = rows && rows.length ? Number(rows[0]._count) : 0;
+      next();
+    });
+  };
+};
+
+/**
+ * Count models matching given `query`. The limit, offset and order of
+ * `query` are ignored.
+ *
+ * Pass `query.transaction` to run on a transaction's connection.
+ * Returns a promise if no `callback` is given.
+ *
+ * @param {Object} query
+ * @param {Function(err, count)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.count = function(query, callback) {
+  if (typeof query == 'function') {
+    callback = query;
+    query = {};
+  }
+  if (typeof callback != 'function') return promise(this, this.count, arguments);
+  aggregateValue(this, 'count', '*', query, function(err, count) {
+    if (err) return callback(err);
+    callback(null, Number(count) || 0);
+  });
+};
+
+/**
+ * Compute the sum, average, minimum or maximum of `attr` for models matching
+ * given `query`, with `Model.sum()`, `Model.avg()`, `Model.min()` or
+ * `Model.max()`. The limit, offset and order of `query` are ignored.
+ *
+ * The sum is 0 and the others are `null` if no models match.
+ * Returns a promise if no `callback` is given.
+ *
+ * @example
+ *
+ *     Order.sum('amount', { status: 'paid' }, function(err, total) {
+ *       // ...
+ *     });
+ *
+ * @param {String} attr
+ * @param {Object} query
+ * @param {Function(err, value)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+['sum', 'avg', 'min', 'max'].forEach(function(fn) {
+  Model[fn] = function(attr, query, callback) {
+    if (typeof query == 'function') {
+      callback = query;
+      query = {};
+    }
+    if (typeof callback != 'function') return promise(this, this[fn], arguments);
+    aggregateValue(this, fn, attr, query, function(err, value) {
+      if (err) return callback(err);
+      if (fn == 'sum' && value === null) value = 0;
+      callback(null, value);
+    });
+  };
+});
+
+/**
+ * Get plain rows of aggregate `query.columns`, grouped by the attributes in
+ * `query.groupBy`.
+ *
+ * Columns are attribute names, or objects with one of `count`, `sum`, `avg`,
+ * `min` or `max` set to an attribute (or `*` for `count`) and an optional
+ * alias `as` (Default: `sum_amount` or `count`). Without columns, the group
+ * attributes and `count` are selected.
+ *
+ * `query.having` filters groups by alias or attribute, with values or
+ * `$gt`, `$gte`, `$lt`, `$lte`, `$ne` conditions. `query.order` may also
+ * refer to aliases. Where conditions are rewritten like in `Model.all()`.
+ *
+ * Pass `query.transaction` to run on a transaction's connection.
+ * Returns a promise if no `callback` is given.
+ *
+ * @example
+ *
+ *     Order.aggregate({
+ *       where: { created_at: { $gt: since }},
+ *       columns: ['status', { sum: 'amount', as: 'total' }],
+ *       groupBy: 'status',
+ *       having: { total: { $gt: 1000 }},
+ *       order: '-total'
+ *     }, function(err, rows) {
+ *       // => [{ status: 'paid', total: 53020 }, ...]
+ *     });
+ *
+ * @param {Object} query
+ * @param {Function(err, rows)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.aggregate = function(query, callback) {
+  if (typeof callback != 'function') {
+    return promise(this, this.aggregate, arguments);
+  }
+  var Model = this;
+  query = query || {};
+  applyScope(this, query);
+  var tx = query.transaction;
+  delete query.transaction;
+  var groupBy = [].concat(query.groupBy || []);
+  var columns = query.columns ? [].concat(query.columns) : groupBy.concat({ count: '*' });
+  var having = query.having;
+  var order = query.order || query.sort;
+  var limit = query.limit;
+  var offset = query.offset;
+  ['columns', 'groupBy', 'having', 'order', 'sort', 'limit', 'offset', 'page', 'pageSize', 'include'].forEach(function(key) {
+    delete query[key];
+  });
+  scopeDeleted(this, query);
+
+  var aliases = [];
+  var sql;
+  try {
+    var select = columns.map(function(column) {
+      column = aggregateColumn(Model, column);
+      if (column.as) aliases.push(column.as);
+      return column.sql;
+    });
+    sql = this.buildSQL(extend(query, {
+      type: 'select',
+      columns: select,
+      table: this.tableName
+    }));
+    if (groupBy.length) {
+      sql.query += ' GROUP BY ' + groupBy.map(function(attr) {
+        return columnSQL(Model, attr);
+      }).join(', ');
+    }
+    if (having) {
+      sql.query += ' HAVING ' + havingSQL(Model, having, aliases, sql.values);
+    }
+    if (order) {
+      sql.query += ' ORDER BY ' + parseOrder(order).map(function(key) {
+        var column = ~aliases.indexOf(key.attr) ? aliasSQL(Model, key.attr) : columnSQL(Model, key.attr);
+        return column + ' ' + key.dir.toUpperCase();
+      }).join(', ');
+    }
+    if (limit) sql.query += ' LIMIT $' + sql.values.push(Number(limit));
+    if (offset) sql.query += ' OFFSET $' + sql.values.push(Number(offset));
+  }
+  catch (err) {
+    err.code = err.status = 400;
+    return callback(err);
+  }
+
+  this.query({ sql: sql.query }, sql.values, tx, function(err, rows) {
+    if (err) return callback(err);
+    rows = (rows || []).map(function(row) {
+      // Use attribute names for group columns and aliases
+      for (var attr in Model.attrs) {
+        var columnName = Model.attrs[attr].columnName;
+        if (columnName && columnName in row) {
+          row[attr] = row[columnName];
+          delete row[columnName];
+        }
+      }
+      return formatRow(Model, row);
+    });
+    callback(null, rows);
+  });
+};
+
+/**
+ * Find model with given `id`.
+ *
+ * Pass `query.transaction` to run on a transaction's connection, and
+ * `query.lock` (`update` or `share`, optionally followed by `nowait` or
+ * `skip locked`) to lock the row until the transaction ends. Relations in
+ * `query.include` are loaded as in `Model.all()`.
+ * Returns a promise if no `callback` is given.
+ *
+ * @param {Number|Object} id or query
+ * @param {Function(err, model)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.find = Model.get = function(id, callback) {
+  if (typeof callback != 'function') return promise(this, this.find, arguments);
+  var self = this;
+  var query = id;
+  if (typeof id != 'object' || Array.isArray(id)) {
+    query = { where: {} };
+    [].concat(id).forEach(function(value, i) {
+      query.where[primaryKeys(self)[i]] = value;
+    });
+  }
+  applyScope(this, query);
+  var tx = query.transaction;
+  delete query.transaction;
+  try {
+    var lock = parseLock(query, tx);
+  }
+  catch (err) {
+    return callback(err);
+  }
+  scopeDeleted(this, query);
+  var include = query.include;
+  delete query.include;
+  var sql = this.buildSQL(extend({
+    type: 'select',
+    columns: [
+      { name: '*', table: self.tableName }
+    ],
+    table: this.tableName
+  }, query));
+  if (lock) sql.query += lock;
+  this.query(sql.query, sql.values, tx, function(err, rows, fields) {
+    if (err) return callback(err);
+    if (!rows || !rows.length) {
+      var error = new Error("Could not find " + id + ".");
+      error.code = error.status = 404;
+      return callback(error);
+    }
+    var model = hydrate(self, stripTableName(rows[0], self.tableName));
+    preload(self, [model], include, tx, function(err) {
+      if (err) return callback(err);
+      callback(null, model);
+    });
+  });
+};
+
+/**
+ * Stream models matching given `query` from a connection pinned from the
+ * pool (or `query.transaction`'s connection), one row at a time.
+ *
+ * Unlike `Model.all()`, no limit is applied unless given, the total is not
+ * counted and `include` is not supported. Pages select the same rows as in
+ * `Model.all()`. Reading pauses the connection when the stream's buffer is
+ * full.
+ *
+ * @example
+ *
+ *     User.stream({ where: { active: true }}).pipe(exporter);
+ *
+ * @param {Object} query
+ * @return {stream.Readable}
+ * @api public
+ */
+
+Model.stream = function(query) {
+  var Model = this;
+  query = query || {};
+  var tx = query.transaction;
+  delete query.transaction;
+  if (query.include) {
+    throw new Error("Model.stream does not support include.");
+  }
+  applyScope(this, query);
+  // Relations of the default scope are not loaded by streams
+  delete query.include;
+  if (query.pageSize) {
+    query.limit = query.pageSize;
+    delete query.pageSize;
+  }
+  if (query.page) {
+    query.limit = query.limit || 50;
+    query.offset = query.page * query.limit;
+  }
+  delete query.page;
+  scopeDeleted(this, query);
+  if (query.sort) {
+    query.order = query.sort;
+    delete query.sort;
+  }
+  extend(query, {
+    type: 'select',
+    columns: [
+      { name: '*', table: Model.tableName }
+    ],
+    table: Model.tableName
+  });
+  var sql = this.buildSQL(query);
+
+  var readable = new stream.Readable({ objectMode: true });
+  var connection = null;
+  var started = false;
+  var aborted = false;
+
+  readable._read = function() {
+    if (connection) return connection.resume();
+    if (started) return;
+    started = true;
+    if (tx) return start(tx.connection);
+    Model.db.getConnection(function(err, conn) {
+      if (err) return readable.emit('error', err);
+      start(conn);
+    });
+  };
+
+  readable._destroy = function(err, callback) {
+    // Drain remaining rows so the connection can be released
+    aborted = true;
+    if (connection) connection.resume();
+    callback(err);
+  };
+
+  function start(conn) {
+    connection = conn;
+    var statement = { sql: sql.query, nestTables: '_' };
+    var q = connection.query(statement, sql.values);
+    q.on('result', function(row) {
+      if (aborted) return;
+      row = formatRow(Model, row);
+      var model = hydrate(Model, stripTableName(row, Model.tableName));
+      if (!readable.push(model)) connection.pause();
+    });
+    q.on('error', function(err) {
+      if (!aborted) readable.emit('error', err);
+    });
+    q.on('end', function() {
+      if (!tx) connection.release();
+      if (!aborted) readable.push(null);
+    });
+  };
+
+  return readable;
+};
+
+/**
+ * Call `iterator(model, next)` for each model matching given `query`,
+ * waiting for `next` before reading the next row. Uses `Model.stream()`.
+ *
+ * Returns a promise if no `callback` is given.
+ *
+ * @param {Object} query
+ * @param {Function(model, next)} iterator
+ * @param {Function(err)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.each = function(query, iterator, callback) {
+  if (typeof callback != 'function') return promise(this, this.each, arguments);
+
+  try {
+    var readable = this.stream(query);
+  }
+  catch (err) {
+    return callback(err);
+  }
+  var busy = false;
+  var ended = false;
+  var finished = false;
+
+  function finish(err) {
+    if (finished) return;
+    finished = true;
+    if (err) readable.destroy();
+    callback(err || null);
+  };
+
+  function next() {
+    while (!finished && !busy) {
+      var model = readable.read();
+      if (model === null) {
+        if (ended) finish();
+        return;
+      }
+      var sync = true;
+      busy = true;
+      iterator(model, function(err) {
+        busy = false;
+        if (err) return finish(err);
+        if (!sync) next();
+      });
+      sync = false;
+    }
+  };
+
+  readable.on('readable', next);
+  readable.on('error', finish);
+  readable.on('end', function() {
+    ended = true;
+    if (!busy) finish();
+  });
+};
+
+/**
+ * Remove all models matching given `query`.
+ *
+ * Pass `query.transaction` to run on a transaction's connection.
+ * Returns a promise if no `callback` is given.
+ *
+ * With the `softDelete` option, rows are marked as deleted instead, unless
+ * `query.force` is set. The callback receives the number of affected rows.
+ *
+ * @param {Object} query
+ * @param {Function(err, affectedRows)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.removeAll = function(query, callback) {
+  if (typeof callback != 'function') {
+    return promise(this, this.removeAll, arguments);
+  }
+  applyScope(this, query);
+  var tx = query.transaction;
+  delete query.transaction;
+  var force = query.force;
+  delete query.force;
+  var statement = {
+    type: 'delete',
+    table: this.tableName
+  };
+  if (this.softDelete && !force) {
+    scopeDeleted(this, query);
+    statement.type = 'update';
+    statement.values = {};
+    statement.values[this.softDelete] = new Date();
+  }
+  var sql = this.buildSQL(extend(statement, query));
+  this.query(sql.query, sql.values, tx, function(err, rows) {
+    if (err) return callback(err);
+    callback(null, rows.affectedRows);
+  });
+};
+
+/**
+ * Update all models matching given `query` with `values`, formatted like
+ * the attributes of saved models.
+ *
+ * The callback receives the number of matched (`affectedRows`) and changed
+ * (`changedRows`) rows. Unless the connection flags exclude `FOUND_ROWS`,
+ * `affectedRows` includes matched rows that did not change.
+ *
+ * With `query.events`, matching rows are selected and locked first, in a
+ * transaction, and `mysql before update` and `mysql after update` are emitted
+ * for every model. The result then includes the updated `models`.
+ *
+ * Pass `query.transaction` to run on a transaction's connection.
+ * Returns a promise if no `callback` is given.
+ *
+ * @example
+ *
+ *     Post.updateAll({ user_id: 1 }, { published: false }, function(err, result) {
+ *       // => { affectedRows: 12, changedRows: 10 }
+ *     });
+ *
+ * @param {Object} query
+ * @param {Object} values
+ * @param {Function(err, result)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.updateAll = function(query, values, callback) {
+  if (typeof callback != 'function') {
+    return promise(this, this.updateAll, arguments);
+  }
+  var Model = this;
+  query = query || {};
+  applyScope(this, query);
+  var tx = query.transaction;
+  delete query.transaction;
+  var events = query.events;
+  delete query.events;
+  scopeDeleted(this, query);
+
+  function update(query, tx, next) {
+    var statement = { type: 'update', table: Model.tableName, values: extend({}, values) };
+    if (Model.lockVersion) {
+      statement.values.$inc = {};
+      statement.values.$inc[Model.lockVersion] = 1;
+    }
+    var sql = Model.buildSQL(extend(statement, query));
+    Model.query(sql.query, sql.values, tx, function(err, rows) {
+      if (err) return next(err);
+      next(null, { affectedRows: rows.affectedRows, changedRows: rows.changedRows });
+    });
+  };
+
+  if (!events) return update(query, tx, callback);
+
+  this.transaction(tx, function(tx, done) {
+    var sql = Model.buildSQL(extend({
+      type: 'select',
+      columns: [
+        { name: '*', table: Model.tableName }
+      ],
+      table: Model.tableName
+    }, query));
+    Model.query(sql.query + ' FOR UPDATE', sql.values, tx, function(err, rows) {
+      if (err) return done(err);
+      var models = rows.map(function(row) {
+        return hydrate(Model, stripTableName(row, Model.tableName));
+      });
+      if (!models.length) {
+        return done(null, { affectedRows: 0, changedRows: 0, models: models });
+      }
+      var where = {};
+      var keys = primaryKeys(Model);
+      if (keys.length > 1) where.$or = models.map(keyWhere);
+      else where[keys[0]] = { $in: models.map(function(model) {
+        return model.primary();
+      })};
+      models.forEach(function(model) {
+        for (var key in values) {
+          if (Model.attrs[key]) model[key](values[key]);
+        }
+        Model.emit('mysql before update', model);
+        model.emit('mysql before update');
+      });
+      update({ where: where }, tx, function(err, result) {
+        if (err) return done(err);
+        models.forEach(function(model) {
+          if (Model.lockVersion) {
+            model.attrs[Model.lockVersion] = (model.attrs[Model.lockVersion] || 0) + 1;
+          }
+          model.dirty = {};
+          Model.emit('mysql after update', model);
+          model.emit('mysql after update');
+        });
+        result.models = models;
+        done(null, result);
+      });
+    });
+  }, callback);
+};
+
+/**
+ * Insert `models` (model instances or attribute objects) using multi-row
+ * INSERT statements.
+ *
+ * Rows are split into statements that stay under the server's
+ * `max_allowed_packet` (or the `maxAllowedPacket` plugin option). Rows with
+ * different sets of attributes go into separate statements. Generated ids are
+ * assigned from `insertId`, which assumes consecutive auto-increment values
+ * (set the `autoIncrementIncrement` plugin option if it is not 1). Statements
+ * run inside a transaction if there is more than one.
+ *
+ * Emits `mysql before save` and `mysql after save` for every model.
+ * Returns a promise if no `callback` is given.
+ *
+ * @param {Array} models
+ * @param {Object} options optional `transaction`
+ * @param {Function(err, models)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.createMany = function(models, options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback != 'function') {
+    return promise(this, this.createMany, [models, options]);
+  }
+  options = options || {};
+
+  var self = this;
+  models = models.map(function(model) {
+    return model instanceof self ? model : new self(model);
+  });
+  if (!models.length) return callback(null, models);
+
+  for (var len = models.length, i=0; i<len; i++) {
+    if (!models[i].isValid()) return callback(new Error('validation failed'));
+  }
+
+  maxAllowedPacket(this, function(err, max) {
+    if (err) return callback(err);
+
+    models.forEach(function(model) {
+      self.emit('mysql before save', model);
+      model.emit('mysql before save');
+    });
+
+    for (var len = models.length, i=0; i<len; i++) {
+      var error = prepareInsert(models[i]);
+      if (error) return callback(error);
+    }
+
+    var chunks = chunkRows(self, models, max);
+    var increment = self.db.options.autoIncrementIncrement || 1;
+
+    var insert = function(tx, done) {
+      async.eachSeries(chunks, function(chunk, next) {
+        var sql = self.buildSQL({
+          type: 'insert',
+          table: self.tableName,
+          values: chunk.map(function(model) {
+            return extend({}, model.attrs);
+          })
+        });
+        self.query(sql.query, sql.values, tx, function(err, rows) {
+          if (err) return next(err);
+          chunk.forEach(function(model, i) {
+            formatAttrs(model, model.attrs);
+            if (rows.insertId && self.keyStrategy == 'auto') {
+              model.attrs[self.primaryKey] = rows.insertId + i * increment;
+            }
+          });
+          next();
+        });
+      }, done);
+    };
+
+    var after = function(err) {
+      if (err) return callback(err);
+      models.forEach(function(model) {
+        model.dirty = {};
+        model.persisted = true;
+        self.emit('mysql after save', model);
+        model.emit('mysql after save');
+      });
+      callback(null, models);
+    };
+
+    if (options.transaction || chunks.length == 1) {
+      return insert(options.transaction, after);
+    }
+    self.transaction(insert, after);
+  });
+};
+
+/**
+ * Insert or update `attrs` (or a model) using
+ * `INSERT ... ON DUPLICATE KEY UPDATE`.
+ *
+ * options
+ *     - conflictKeys Attributes identifying an existing row, which are not
+ *                    updated (Default: primary key).
+ *     - update       Attributes to update on conflict, or an object of values
+ *                    to set (Default: all other given attributes).
+ *     - transaction  Run on a transaction's connection.
+ *
+ * The row matching the conflict keys is locked first, in a transaction.
+ * Emits `mysql before upsert`, then `mysql before save` and
+ * `mysql after save` if the row is inserted, or `mysql before update` and
+ * `mysql after update` if it already exists. The callback receives the model
+ * and whether it was inserted. Returns a promise for the model if no
+ * `callback` is given.
+ *
+ * @example
+ *
+ *     User.upsert({ email: 'alex@example.com', name: 'Alex' }, {
+ *       conflictKeys: ['email']
+ *     }, function(err, user, inserted) {
+ *       // ...
+ *     });
+ *
+ * @param {Object|Model} attrs
+ * @param {Object} options
+ * @param {Function(err, model, inserted)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.upsert = function(attrs, options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback != 'function') {
+    return promise(this, this.upsert, [attrs, options]);
+  }
+  var model = attrs instanceof this ? attrs : new this(attrs);
+  if (!model.isValid()) return callback(new Error('validation failed'));
+  upsert(model, options || {}, function(err, attrs, inserted) {
+    if (err) return callback(err);
+    model.dirty = {};
+    callback(null, model, inserted);
+  });
+};
+
+/**
+ * Save.
+ *
+ * Given `options.upsert` (`Model.upsert` options), the model is upserted.
+ *
+ * @param {Object} options optional `transaction` and `upsert`
+ * @param {Function(err, attrs)} fn
+ * @api private
+ */
+
+Model.save = function(options, fn) {
+  if (typeof options == 'function') {
+    fn = options;
+    options = {};
+  }
+  if (options.upsert) {
+    return upsert(this, extend({
+      transaction: options.transaction
+    }, options.upsert), fn);
+  }
+  var model = this;
+  this.model.emit('mysql before save', this);
+  this.emit('mysql before save');
+  var error = prepareInsert(this);
+  if (error) return fn(error);
+  var sql = this.model.buildSQL({
+    type: 'insert',
+    table: this.model.tableName,
+    values: this.attrs
+  });
+  this.model.query(sql.query, sql.values, options.transaction, function(err, rows, fields) {
+    if (err) return fn(err);
+    formatAttrs(model, model.attrs);
+    if (rows.insertId && this.keyStrategy == 'auto') {
+      model.attrs[this.primaryKey] = rows.insertId;
+    }
+    model.persisted = true;
+    this.emit('mysql after save', model);
+    model.emit('mysql after save');
+    fn(null, savedAttrs(model));
+  });
+};
+
+/**
+ * Update.
+ *
+ * With a `lockVersion` attribute, the row is only updated if its version is
+ * unchanged, and the version is incremented. Otherwise a `StaleObjectError`
+ * is passed to `fn`. Given `options.upsert`, the model is upserted.
+ *
+ * @param {Object} options optional `transaction` and `upsert`
+ * @param {Function(err, attrs)} fn
+ * @api private
+ */
+
+Model.update = function(options, fn) {
+  if (typeof options == 'function') {
+    fn = options;
+    options = {};
+  }
+  if (options.upsert) {
+    return upsert(this, extend({
+      transaction: options.transaction
+    }, options.upsert), fn);
+  }
+  var model = this;
+  this.model.emit('mysql before update', this);
+  this.emit('mysql before update');
+  var where = keyWhere(this);
+  var values = this.changed();
+  var lock = this.model.lockVersion;
+  if (lock) {
+    var version = Number(this.attrs[lock]) || 0;
+    where[lock] = version;
+    values[lock] = version + 1;
+  }
+  var sql = this.model.buildSQL({
+    type: 'update',
+    table: this.model.tableName,
+    where: where,
+    values: values
+  });
+  this.model.query(sql.query, sql.values, options.transaction, function(err, rows, fields) {
+    if (err) return fn(err);
+    if (lock) {
+      if (!rows.affectedRows) return fn(new StaleObjectError(model));
+      model.attrs[lock] = version + 1;
+    }
+    this.emit('mysql after update', model);
+    model.emit('mysql after update');
+    fn(null, savedAttrs(model));
+  });
+};
+
+/**
+ * Remove.
+ *
+ * With the `softDelete` option, the row is marked as deleted instead, unless
+ * `options.force` is set. The remove events receive whether the delete was
+ * soft.
+ *
+ * @param {Object} options optional `transaction` and `force`
+ * @param {Function(err, attrs)} fn
+ * @api private
+ */
+
+Model.remove = function(options, fn) {
+  if (typeof options == 'function') {
+    fn = options;
+    options = {};
+  }
+  var model = this;
+  var soft = !!this.model.softDelete && !options.force;
+  this.model.emit('mysql before remove', this, soft);
+  this.emit('mysql before remove', soft);
+  var query = {
+    type: 'delete',
+    table: this.model.tableName,
+    where: keyWhere(this)
+  };
+  if (soft) {
+    var deletedAt = new Date();
+    query.type = 'update';
+    query.values = {};
+    query.values[this.model.softDelete] = deletedAt;
+  }
+  var sql = this.model.buildSQL(query);
+  this.model.query(sql.query, sql.values, options.transaction, function(err, rows) {
+    if (err) return fn(err);
+    if (soft) model.attrs[this.softDelete] = deletedAt;
+    this.emit('mysql after remove', model, soft);
+    model.emit('mysql after remove', soft);
+    fn();
+  });
+};
+
+/**
+ * Restore soft deleted model.
+ *
+ * Returns a promise if no `callback` is given.
+ *
+ * @param {Object} options optional `transaction`
+ * @param {Function(err, model)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+proto.restore = function(options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof callback != 'function') {
+    return promise(this, this.restore, [options]);
+  }
+  var model = this;
+  var Model = this.model;
+  if (!Model.softDelete) {
+    return callback(new Error(Model.modelName + " does not use soft deletes."));
+  }
+  var values = {};
+  values[Model.softDelete] = null;
+  var sql = Model.buildSQL({
+    type: 'update',
+    table: Model.tableName,
+    where: keyWhere(this),
+    values: values
+  });
+  Model.query(sql.query, sql.values, (options || {}).transaction, function(err) {
+    if (err) return callback(err);
+    model.attrs[Model.softDelete] = null;
+    callback(null, model);
+  });
+};
+
+/**
+ * Wrapper for `Model.db.query`. Transforms column/field names in results.
+ *
+ * If a `transaction` is given the query runs on its connection, and a
+ * DEADLOCK error is passed on so `Model.transaction` can retry the whole
+ * transaction instead of this statement.
+ *
+ * Returns a promise for the rows if no `callback` is given.
+ *
+ * @param {String|Object} statement
+ * @param {Array} values
+ * @param {Transaction} transaction optional
+ * @param {Function(err, rows, fields)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.query = function(statement, values, transaction, callback) {
+  var Model = this;
+
+  if (typeof transaction == 'function') {
+    callback = transaction;
+    transaction = null;
+  }
+
+  if (typeof callback != 'function') {
+    return promise(this, this.query, [statement, values, transaction]);
+  }
+
+  if (typeof statement == 'string') {
+    statement = { sql: statement, nestTables: '_' };
+  }
+
+  var after = function(rows, fields) {
+    if (rows.length) {
+      rows.forEach(function(row) {
+        formatRow(Model, row);
+      });
+    }
+    callback.call(Model, null, rows, fields);
+  };
+
+  if (transaction) {
+    return transaction.query(statement, values, function(err, rows, fields) {
+      if (err) return callback(err);
+      after(rows, fields);
+    });
+  }
+
+  Model.db.query(statement, values, function(err, rows, fields) {
+    if (err) {
+      // Re-try query on DEADLOCK error
+      if (isDeadlock(err)) {
+        return (function retry() {
+          var attemptCount = 0;
+          function attempt() {
+            attemptCount++;
+            Model.db.query(statement, values, function(err, rows, fields) {
+              if (err) {
+                if (attemptCount > 3) return callback(err);
+                if (isDeadlock(err)) return attempt();
+                return callback(err);
+              }
+              after(rows, fields);
+            });
+          };
+          attempt();
+        })();
+      }
+      return callback(err);
+    }
+    after(rows, fields);
+  });
+};
+
+/**
+ * Run `body` inside a transaction on a connection pinned from `Model.db`.
+ *
+ * `body` is called with a `Transaction` and a `done(err, result)` callback.
+ * Calling `done` with an error rolls back, otherwise the transaction is
+ * committed. Pass the transaction to model methods to run them on its
+ * connection. The whole body is re-tried on DEADLOCK errors.
+ *
+ * Given a `parent` transaction, `body` runs inside a savepoint instead.
+ *
+ * `body` may return a promise instead of calling `done`, and a promise is
+ * returned if no `callback` is given.
+ *
+ * @example
+ *
+ *     User.transaction(function(tx, done) {
+ *       user.save({ transaction: tx }, function(err) {
+ *         if (err) return done(err);
+ *         Post.removeAll({ user_id: user.primary(), transaction: tx }, done);
+ *       });
+ *     }, function(err) {
+ *       // ...
+ *     });
+ *
+ * @param {Transaction} parent optional
+ * @param {Function(tx, done)} body
+ * @param {Function(err, result)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Model.transaction = function(parent, body, callback) {
+  if (typeof parent == 'function') {
+    callback = body;
+    body = parent;
+    parent = null;
+  }
+  if (typeof callback != 'function') {
+    return promise(this, this.transaction, [parent, body]);
+  }
+
+  if (parent) return parent.transaction(body, callback);
+
+  var db = this.db;
+  var attemptCount = 0;
+
+  function attempt() {
+    attemptCount++;
+    db.getConnection(function(err, connection) {
+      if (err) return callback(err);
+      var tx = new Transaction(connection);
+      tx.run(body, function(err, result) {
+        connection.release();
+        if (err && isDeadlock(err) && attemptCount <= 3) return attempt();
+        callback(err, result);
+      });
+    });
+  };
+
+  attempt();
+};
+
+/**
+ * Build SQL query using MoSQL.
+ *
+ * @link https://github.com/goodybag/mongo-sql
+ */
+
+Model.buildSQL = function(query) {
+  prepareQuery(this, query);
+  var sql = mosql.sql(query);
+
+  // Convert query column names according to attribute defition.
+  for (var attr in this.attrs) {
+    var columnName = this.attrs[attr].columnName;
+    if (columnName) {
+      sql.query = sql.query.replace(
+        new RegExp('"' + attr + '"', 'g'),
+        '"' + columnName + '"'
+      );
+    }
+  }
+
+  return sql;
+};
+
+/**
+ * Call `fn` on `ctx` with `args` and a node-style callback, returning a
+ * promise settled by the callback.
+ *
+ * @param {Object} ctx
+ * @param {Function} fn
+ * @param {Array|Arguments} args
+ * @return {Promise}
+ * @api private
+ */
+
+function promise(ctx, fn, args) {
+  args = Array.prototype.slice.call(args);
+  // Place the callback last for functions with a fixed number of arguments
+  if (fn.length) {
+    args = args.slice(0, fn.length - 1);
+    while (args.length < fn.length - 1) args.push(undefined);
+  }
+  return new Promise(function(resolve, reject) {
+    fn.apply(ctx, args.concat(function(err, result) {
+      if (err) return reject(err);
+      resolve(result);
+    }));
+  });
+};
+
+/**
+ * Formats attributes when set
+ *
+ * @param {Model} model
+ * @param {Object} attrs
+ * @api private
+ */
+
+function formatAttrs(model, attrs) {
+  for (var attr in attrs) {
+    var def = model.model.attrs[attr];
+    var val = attrs[attr];
+    if (!def) continue;
+    if (def.type == 'boolean') {
+      attrs[attr] = Boolean(attrs[attr]);
+    }
+    if (def.type == 'date' || def.format == 'date') {
+      if (typeof val == 'object') continue;
+      if (isNaN(val)) {
+        attrs[attr] = new Date(val);
+      }
+      else {
+        attrs[attr] = new Date(val * 1000);
+      }
+    }
+  }
+};
+
+/**
+ * Prepare query.
+ *
+ * @param {Model} Model
+ * @param {Object} query
+ * @api private
+ */
+
+function prepareQuery(Model, query) {
+  for (var key in query) {
+    if (typeof query[key] == 'string' && !isNaN(query[key])) {
+      query[key] = Number(query[key]);
+    }
+  }
+  normalizeWhere(query);
+  Query.whereOptions(query);
+  if (query.sort) {
+    query.order = query.sort;
+    delete query.sort;
+  }
+  // Relations
+  var relation, fkWhere;
+  if (query.where) {
+    for (var key in query.where) {
+      if (Model.relations[key]) {
+        fkWhere = key;
+        relation = Model.relations[key];
+      }
+    }
+  }
+  if (relation) {
+    if (relation.through) {
+      query.innerJoin = query.innerJoin || {};
+      query.innerJoin[relation.through.tableName] = {};
+      query.innerJoin[relation.through.tableName][relation.throughKey] = '$' + Model.tableName + '.' + Model.primaryKey + '$';
+      query.where[relation.through.tableName + '.' + relation.foreignKey] = query.where[fkWhere];
+    }
+    else if (relation.polymorphic === true) {
+      // Filter by parent model with `Comment.all({ commentable: post })`
+      var parent = query.where[fkWhere];
+      var isModel = parent && parent.model && typeof parent.primary == 'function';
+      query.where[relation.foreignKey] = isModel ? parent.primary() : parent;
+      if (isModel) query.where[relation.typeKey] = parent.model.modelName;
+    }
+    else {
+      query.where[relation.foreignKey] = query.where[fkWhere];
+    }
+    if (relation.typeValue) {
+      query.where[relation.typeKey] = relation.typeValue;
+    }
+    if (relation.through || relation.foreignKey != fkWhere) {
+      delete query.where[fkWhere];
+    }
+  }
+  if (query.where) formatWhere(Model, query.where);
+  // Values, given as an object or an array of rows
+  if (query.values) {
+    [].concat(query.values).forEach(function(values) {
+      for (var key in values) {
+        // Update helpers such as `$inc`
+        if (key.charAt(0) == '$') continue;
+        if (!Model.attrs[key] && values[key] === undefined) {
+          delete values[key];
+          continue;
+        }
+        values[key] = formatValue(Model, key, values[key]);
+      }
+    });
+  }
+  if (!query.table) query.table = Model.tableName;
+  if (!query.type) query.type = 'select';
+}
+
+/**
+ * Merge the default scope of `Model` into `query`, unless `query.unscoped`
+ * is set.
+ *
+ * @param {Model} Model
+ * @param {Object} query
+ * @api private
+ */
+
+function applyScope(Model, query) {
+  var unscoped = query.unscoped;
+  delete query.unscoped;
+  if (Model.defaultQuery && !unscoped) Query.merge(query, Model.defaultQuery);
+};
+
+/**
+ * Exclude soft deleted rows from `query`, or select only those with
+ * `query.onlyDeleted`. Set `query.withDeleted` to select all rows.
+ *
+ * @param {Model} Model
+ * @param {Object} query
+ * @api private
+ */
+
+function scopeDeleted(Model, query) {
+  var withDeleted = query.withDeleted;
+  var onlyDeleted = query.onlyDeleted;
+  delete query.withDeleted;
+  delete query.onlyDeleted;
+  if (!Model.softDelete || withDeleted) return;
+  normalizeWhere(query);
+  query.where = query.where || {};
+  if (query.where[Model.softDelete] === undefined) {
+    query.where[Model.softDelete] = onlyDeleted ? { $notNull: true } : { $null: true };
+  }
+};
+
+/**
+ * Parse keyset pagination parameters `after` and `before` from `query`.
+ *
+ * Returns the keyset `order` (with the primary key appended) and the `where`
+ * condition selecting rows past the cursor.
+ *
+ * @param {Model} Model
+ * @param {Object} query
+ * @return {Object}
+ * @api private
+ */
+
+function parseKeyset(Model, query) {
+  var before = 'before' in query && !('after' in query && query.after);
+  var cursor = before ? query.before : query.after;
+  delete query.after;
+  delete query.before;
+
+  var keys = parseOrder(query.order || query.sort);
+  delete query.sort;
+  primaryKeys(Model).forEach(function(attr) {
+    var ordered = keys.some(function(key) {
+      return key.attr == attr;
+    });
+    if (!ordered) keys.push({ attr: attr, dir: 'asc' });
+  });
+  keys.forEach(function(key) {
+    if (!Model.attrs[key.attr]) {
+      var error = new Error("Cannot paginate by " + key.attr + ".");
+      error.code = error.status = 400;
+      throw error;
+    }
+  });
+
+  var keyset = { keys: keys, before: before, cursor: cursor, order: {} };
+  // Read backwards from the cursor when paginating before it
+  keys.forEach(function(key) {
+    var dir = key.dir;
+    if (before) dir = dir == 'asc' ? 'desc' : 'asc';
+    keyset.order[key.attr] = dir;
+  });
+  query.order = keyset.order;
+
+  keyset.where = {};
+  if (!cursor) return keyset;
+
+  var values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+  }
+  catch (err) {}
+  if (Array.isArray(values) && values.length == keys.length) {
+    values = values.map(function(value, i) {
+      return cursorValue(Model, keys[i].attr, value);
+    });
+  }
+  else values = null;
+  // Invalid dates decode to undefined
+  if (!values || ~values.indexOf(undefined)) {
+    var error = new Error("Invalid cursor " + cursor + ".");
+    error.code = error.status = 400;
+    throw error;
+  }
+
+  // (a > x) OR (a = x AND b > y) OR ...
+  //
+  // MySQL sorts NULL first in ascending and last in descending order, so
+  // NULL is past a value in descending order, and any value is past NULL in
+  // ascending order.
+  var or = [];
+  keys.forEach(function(key, i) {
+    var value = values[i];
+    var asc = keyset.order[key.attr] == 'asc';
+    var past = [];
+    if (value == null) {
+      if (asc) past.push({ $notNull: true });
+    }
+    else {
+      past.push(asc ? { $gt: value } : { $lt: value });
+      if (!asc && isNullable(Model, key.attr)) past.push({ $null: true });
+    }
+    past.forEach(function(past) {
+      var condition = {};
+      for (var j = 0; j < i; j++) {
+        condition[keys[j].attr] = values[j] == null ? { $null: true } : values[j];
+      }
+      condition[key.attr] = past;
+      or.push(condition);
+    });
+  });
+  keyset.where = { $or: or };
+  return keyset;
+};
+
+/**
+ * Return whether `attr` of `Model` may be NULL.
+ *
+ * @param {Model} Model
+ * @param {String} attr
+ * @return {Boolean}
+ * @api private
+ */
+
+function isNullable(Model, attr) {
+  var def = Model.attrs[attr];
+  return !def.primaryKey && !~primaryKeys(Model).indexOf(attr) && def.nullable !== false;
+};
+
+/**
+ * Set `nextCursor` and `prevCursor` on `results`, reversing the data read
+ * backwards from a `before` cursor.
+ *
+ * @param {Model} Model
+ * @param {Object} keyset
+ * @param {Object} results
+ * @api private
+ */
+
+function paginateKeyset(Model, keyset, results) {
+  var data = results.data;
+  var more = results.hasMore;
+  if (keyset.before) data.reverse();
+
+  var first = data.length ? cursorFor(Model, keyset.keys, data[0]) : null;
+  var last = data.length ? cursorFor(Model, keyset.keys, data[data.length - 1]) : null;
+
+  if (keyset.before) {
+    results.prevCursor = more ? first : null;
+    results.nextCursor = keyset.cursor ? last : null;
+  }
+  else {
+    results.nextCursor = more ? last : null;
+    results.prevCursor = keyset.cursor ? first : null;
+  }
+};
+
+/**
+ * Parse locking read option `query.lock` into the clause appended to the
+ * select statement. Locks are held until `tx` ends, so a transaction is
+ * required.
+ *
+ * Accepts `update` or `share`, optionally followed by `nowait` or
+ * `skip locked`.
+ *
+ * @param {Object} query
+ * @param {Transaction} tx
+ * @return {String}
+ * @api private
+ */
+
+function parseLock(query, tx) {
+  var lock = query.lock;
+  delete query.lock;
+  if (!lock) return null;
+  var match = String(lock).toLowerCase().match(/^(update|share)(?:\s+(nowait|skip locked))?$/);
+  if (!match) {
+    var error = new Error("Invalid lock " + lock + ".");
+    error.code = error.status = 400;
+    throw error;
+  }
+  if (!tx) {
+    var error = new Error("Locking reads must run on a transaction.");
+    error.code = error.status = 400;
+    throw error;
+  }
+  if (match[1] == 'share' && !match[2]) return ' lock in share mode';
+  return ' for ' + match[1] + (match[2] ? ' ' + match[2] : '');
+};
+
+/**
+ * Add `SQL_CALC_FOUND_ROWS` to select statement `sql`.
+ *
+ * @param {String} sql
+ * @return {String}
+ * @api private
+ */
+
+function calcFoundRows(sql) {
+  return sql.replace(/^select /i, 'select SQL_CALC_FOUND_ROWS ');
+};
+
+/**
+ * Build an opaque cursor from the `keys` of `model`.
+ *
+ * @param {Model} Model
+ * @param {Array} keys
+ * @param {Model} model
+ * @return {String}
+ * @api private
+ */
+
+function cursorFor(Model, keys, model) {
+  var values = keys.map(function(key) {
+    var value = model.attrs[key.attr];
+    if (value === undefined || value === null) return null;
+    if (Model.attrs[key.attr].binaryUuid) return value;
+    // Dates are encoded as ISO strings and formatted when decoded
+    if (isDateAttr(Model, key.attr)) {
+      return value instanceof Date ? value.toISOString() : value;
     }
-    var model;
-    model = new (this)(stripTableName(rows[0], self.tableName));
-    if (sql.relations) {
-      model.related = {};
-      for (var plural in sql.relations) {
-        var relatedModel = sql.relations[plural].model;
-        model.related[plural] = model.related[plural] || [];
-        for (var len = rows.length, i=0; i<len; i++) {
-          if (!rows[i][relatedModel.tableName + '_' + relatedModel.primaryKey]) {
-            continue;
+    return formatValue(Model, key.attr, value);
+  });
+  return Buffer.from(JSON.stringify(values), 'utf8').toString('base64');
+};
+
+/**
+ * Return cursor `value` of `attr` in the form to compare with its column.
+ *
+ * @param {Model} Model
+ * @param {String} attr
+ * @param {Mixed} value
+ * @return {Mixed}
+ * @api private
+ */
+
+function cursorValue(Model, attr, value) {
+  if (typeof value != 'string' || !isDateAttr(Model, attr)) return value;
+  var date = new Date(value);
+  if (isNaN(date.getTime())) return;
+  if (Model.attrs[attr].columnType != 'timestamp') return formatValue(Model, attr, date);
+  // Local time, as node-mysql reads timestamps
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-'
+    + pad(date.getDate()) + ' ' + pad(date.getHours()) + ':'
+    + pad(date.getMinutes()) + ':' + pad(date.getSeconds());
+};
+
+/**
+ * Return whether `attr` of `Model` holds dates formatted by `formatValue()`.
+ *
+ * @param {Model} Model
+ * @param {String} attr
+ * @return {Boolean}
+ * @api private
+ */
+
+function isDateAttr(Model, attr) {
+  var def = Model.attrs[attr];
+  return !def.dataFormatter && (def.format == 'date' || def.type == 'date');
+};
+
+/**
+ * Parse mongo-sql `order` into `{ attr, dir }` objects. Accepts strings such
+ * as `"name desc, id"` or `"-name"`, arrays of those, or objects.
+ *
+ * @param {String|Array|Object} order
+ * @return {Array}
+ * @api private
+ */
+
+function parseOrder(order) {
+  var keys = [];
+  if (!order) return keys;
+  if (typeof order == 'string') order = order.split(',');
+  if (Array.isArray(order)) {
+    order.forEach(function(part) {
+      var match = String(part).trim()
+        .match(/^(-)?"?(?:\w+"?\."?)?(\w+)"?(?:\s+(asc|desc))?$/i);
+      if (!match) {
+        var error = new Error("Cannot paginate by " + part + ".");
+        error.code = error.status = 400;
+        throw error;
+      }
+      keys.push({
+        attr: match[2],
+        dir: match[1] ? 'desc' : (match[3] || 'asc').toLowerCase()
+      });
+    });
+    return keys;
+  }
+  for (var attr in order) {
+    keys.push({ attr: attr, dir: String(order[attr]).toLowerCase() });
+  }
+  return keys;
+};
+
+/**
+ * Format `value` of attribute `key` for storage.
+ *
+ * @param {Model} Model
+ * @param {String} key
+ * @param {Mixed} value
+ * @return {Mixed}
+ * @api private
+ */
+
+function formatValue(Model, key, value) {
+  var def = Model.attrs[key];
+  if (def) {
+    if (def.binaryUuid) {
+      return uuidToBuffer(value);
+    }
+    if (def.dataFormatter) {
+      return def.dataFormatter(value, Model);
+    }
+    if (def.format == 'date' || def.type == 'date') {
+      if (value == null) return null;
+      switch (def.columnType) {
+        case 'datetime':
+          return value.toISOString();
+        case 'timestamp':
+          var d = value;
+          return d.getFullYear() + '-' + pad(d.getMonth()) + '-'
+            + pad(d.getDate()) + ' ' + pad(d.getHours()) + ':'
+            + pad(d.getMinutes()) + ':' + pad(d.getSeconds());
+        case 'integer':
+        case 'number':
+        default:
+          if (value.unix) {
+            return Math.floor(value.unix());
           }
-          var related = new relatedModel(
-            stripTableName(rows[i], relatedModel.tableName)
-          );
-          model.related[plural].push(related);
-        }
+          return Math.floor(value.getTime() / 1000);
       }
     }
-    callback(null, model);
-  });
+    return value;
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 'NULL';
+  }
+  return value;
 };
 
 /**
- * Remove all models matching given `query`.
+ * Insert or update `model` with `INSERT ... ON DUPLICATE KEY UPDATE`.
  *
- * @param {Object} query
- * @param {Function(err)} callback
- * @api public
+ * The row matching the conflict keys is selected and locked first, in a
+ * transaction, so whether it is inserted or updated is known before writing,
+ * regardless of the connection's `FOUND_ROWS` flag. The primary key column is
+ * set to `LAST_INSERT_ID()` on update, so that `insertId` holds the id of the
+ * existing row.
+ *
+ * @param {Model} model
+ * @param {Object} options `Model.upsert` options
+ * @param {Function(err, attrs, inserted)} fn
+ * @api private
  */
 
-Model.removeAll = function(query, callback) {
-  var sql = this.buildSQL(extend({
-    type: 'delete',
-    table: this.tableName
-  }, query));
-  this.query(sql.query, sql.values, function(err, rows) {
-    if (err) return callback(err);
-    callback();
-  });
+function upsert(model, options, fn) {
+  var Model = model.model;
+  var primaryKey = Model.primaryKey;
+  var conflictKeys = [].concat(options.conflictKeys || primaryKeys(Model));
+  var lock = Model.lockVersion;
+
+  Model.emit('mysql before upsert', model);
+  model.emit('mysql before upsert');
+
+  var write = function(tx, done) {
+    existing(tx, function(err, found) {
+      if (err) return done(err);
+      var inserted = !found;
+      var before = inserted ? 'mysql before save' : 'mysql before update';
+      Model.emit(before, model);
+      model.emit(before);
+
+      if (Model.keyStrategy != 'auto') {
+        var error = prepareInsert(model);
+        if (error) return done(error);
+      }
+
+      var sql = upsertSQL(Model, model, conflictKeys, options.update);
+      Model.query(sql.query, sql.values, tx, function(err, rows) {
+        if (err) return done(err);
+        formatAttrs(model, model.attrs);
+        if (found) {
+          primaryKeys(Model).forEach(function(key) {
+            if (found.attrs[key] != null) model.attrs[key] = found.attrs[key];
+          });
+          // The update incremented the found row's version
+          if (lock) model.attrs[lock] = (Number(found.attrs[lock]) || 0) + 1;
+        }
+        else if (rows.insertId && Model.keyStrategy == 'auto') {
+          model.attrs[primaryKey] = rows.insertId;
+        }
+        done(null, inserted);
+      });
+    });
+  };
+
+  var after = function(err, inserted) {
+    if (err) return fn(err);
+    model.persisted = true;
+    var event = inserted ? 'mysql after save' : 'mysql after update';
+    Model.emit(event, model);
+    model.emit(event);
+    fn(null, savedAttrs(model), inserted);
+  };
+
+  if (options.transaction) return write(options.transaction, after);
+  Model.transaction(write, after);
+
+  // Select and lock the row matching the conflict keys, if any
+  function existing(tx, next) {
+    var where = {};
+    for (var len = conflictKeys.length, i=0; i<len; i++) {
+      var value = model.attrs[conflictKeys[i]];
+      // NULL never conflicts with a unique key
+      if (value == null) return next(null, null);
+      where[conflictKeys[i]] = value;
+    }
+    var sql = Model.buildSQL({
+      type: 'select',
+      columns: primaryKeys(Model).concat(lock ? [lock] : []).map(function(key) {
+        return { name: key, table: Model.tableName };
+      }),
+      table: Model.tableName,
+      where: where
+    });
+    Model.query(sql.query + ' FOR UPDATE', sql.values, tx, function(err, rows) {
+      if (err) return next(err);
+      if (!rows.length) return next(null, null);
+      next(null, hydrate(Model, stripTableName(rows[0], Model.tableName)));
+    });
+  };
 };
 
 /**
- * Save.
+ * Build the `INSERT ... ON DUPLICATE KEY UPDATE` statement upserting
+ * `model`, updating `update` attributes or values on conflict.
  *
- * @param {Function(err, attrs)} fn
+ * @param {Model} Model
+ * @param {Model} model
+ * @param {Array} conflictKeys
+ * @param {Array|Object} update optional
+ * @return {Object} `{ query, values }`
  * @api private
  */
 
-Model.save = function(fn) {
-  var model = this;
-  this.model.emit('mysql before save', this);
-  this.emit('mysql before save');
-  if (typeof this.attrs[this.model.primaryKey] !== 'undefined') {
-    delete this.attrs[this.model.primaryKey];
-  }
-  var sql = this.model.buildSQL({
+function upsertSQL(Model, model, conflictKeys, update) {
+  var primaryKey = Model.primaryKey;
+  var column = function(attr) {
+    return schema.quote(Model.attrs[attr] ? schema.columnName(Model, attr) : attr);
+  };
+
+  var values = extend({}, model.attrs);
+  var sql = Model.buildSQL({
     type: 'insert',
-    table: this.model.tableName,
-    values: this.attrs
+    table: Model.tableName,
+    values: values
   });
-  this.model.query(sql.query, sql.values, function(err, rows, fields) {
-    if (err) return fn(err);
-    formatAttrs(model, model.attrs);
-    if (rows.insertId) {
-      model.attrs[this.primaryKey] = rows.insertId;
-    }
-    this.emit('mysql after save', model);
-    model.emit('mysql after save');
-    fn(null, model.attrs);
+
+  update = update || Object.keys(values).filter(function(attr) {
+    if (~primaryKeys(Model).indexOf(attr)) return false;
+    return conflictKeys.indexOf(attr) == -1;
   });
+  var sets = [];
+  if (Array.isArray(update)) {
+    update.forEach(function(attr) {
+      sets.push(column(attr) + ' = VALUES(' + column(attr) + ')');
+    });
+  }
+  else {
+    for (var attr in update) {
+      var value = formatValue(Model, attr, update[attr]);
+      sets.push(column(attr) + ' = $' + sql.values.push(value));
+    }
+  }
+  if (Model.lockVersion) {
+    var version = column(Model.lockVersion);
+    sets = sets.filter(function(set) {
+      return set.indexOf(version + ' = ') != 0;
+    });
+    sets.push(version + ' = ' + version + ' + 1');
+  }
+  if (Model.attrs[primaryKey] && Model.keyStrategy == 'auto') {
+    var id = column(primaryKey);
+    sets.push(id + ' = LAST_INSERT_ID(' + id + ')');
+  }
+  if (!sets.length) {
+    var key = column(conflictKeys[0]);
+    sets.push(key + ' = ' + key);
+  }
+  sql.query += ' on duplicate key update ' + sets.join(', ');
+  return sql;
 };
 
 /**
- * Update.
+ * Prepare new `model` for insert. The primary key is removed for the `auto`
+ * key strategy, generated if missing for `uuid` and required for `manual`.
+ * The lock version starts at 0.
  *
- * @param {Function(err, attrs)} fn
+ * @param {Model} model
+ * @return {Error} if a manual key is missing
  * @api private
  */
 
-Model.update = function(fn) {
-  var model = this;
-  this.model.emit('mysql before update', this);
-  this.emit('mysql before update');
+function prepareInsert(model) {
+  var Model = model.model;
+  var primaryKey = Model.primaryKey;
+  if (Model.lockVersion && model.attrs[Model.lockVersion] == null) {
+    model.attrs[Model.lockVersion] = 0;
+  }
+  if (Model.keyStrategy == 'auto') {
+    delete model.attrs[primaryKey];
+  }
+  else if (Model.keyStrategy == 'uuid') {
+    if (model.attrs[primaryKey] == null) model.attrs[primaryKey] = uuid();
+  }
+  else {
+    var keys = primaryKeys(Model);
+    for (var len = keys.length, i=0; i<len; i++) {
+      if (model.attrs[keys[i]] == null) {
+        var error = new Error("Missing primary key " + keys[i] + ".");
+        error.code = error.status = 400;
+        return error;
+      }
+    }
+  }
+};
+
+/**
+ * Return attributes of saved `model` for modella, which sets the primary key
+ * from `id`.
+ *
+ * @param {Model} model
+ * @return {Object}
+ * @api private
+ */
+
+function savedAttrs(model) {
+  var attrs = extend({}, model.attrs);
+  attrs.id = model.primary();
+  return attrs;
+};
+
+/**
+ * Return primary key attributes of `Model`.
+ *
+ * @param {Model} Model
+ * @return {Array}
+ * @api private
+ */
+
+function primaryKeys(Model) {
+  return Model.primaryKeys || [Model.primaryKey];
+};
+
+/**
+ * Return WHERE conditions matching the primary key of `model`.
+ *
+ * @param {Model} model
+ * @return {Object}
+ * @api private
+ */
+
+function keyWhere(model) {
   var where = {};
-  where[this.model.primaryKey] = this.primary();
-  var sql = this.model.buildSQL({
-    type: 'update',
-    table: this.model.tableName,
-    where: where,
-    values: this.changed()
-  });
-  this.model.query(sql.query, sql.values, function(err, rows, fields) {
-    if (err) return fn(err);
-    this.emit('mysql after update', model);
-    model.emit('mysql after update');
-    fn(null, fields);
+  primaryKeys(model.model).forEach(function(key) {
+    where[key] = model.attrs[key];
   });
+  return where;
 };
 
 /**
- * Remove.
+ * Return attribute definition for foreign keys referencing `Model`.
  *
- * @param {Function(err, attrs)} fn
+ * @param {Model} Model
+ * @return {Object}
  * @api private
  */
 
-Model.remove = function(fn) {
-  var model = this;
-  this.model.emit('mysql before remove', this);
-  this.emit('mysql before remove');
-  var query = {
-    type: 'delete',
-    table: this.model.tableName,
-    where: {}
+function keyDefinition(Model) {
+  var def = Model.attrs[Model.primaryKey] || {};
+  if (Model.keyStrategy == 'auto') return { type: 'number' };
+  if (Model.keyStrategy == 'uuid' && !def.columnType && !def.binaryUuid) {
+    return { type: 'string', columnType: 'char', length: 36 };
+  }
+  return {
+    type: def.type || 'string',
+    columnType: def.columnType,
+    length: def.length,
+    binaryUuid: def.binaryUuid
   };
-  query.where[this.model.primaryKey] = this.primary();
-  var sql = this.model.buildSQL(query);
-  this.model.query(sql.query, sql.values, function(err, rows) {
-    if (err) return fn(err);
-    this.emit('mysql after remove', model);
-    model.emit('mysql after remove');
-    fn();
-  });
 };
 
 /**
- * Wrapper for `Model.db.query`. Transforms column/field names in results.
+ * Store foreign key `attr` of `Model` as binary if the primary key of `Owner`
+ * it references is.
+ *
+ * @param {Model} Owner
+ * @param {Model} Model
+ * @param {String} attr
+ * @api private
  */
 
-Model.query = function(statement, values, callback) {
-  var Model = this;
-
-  if (typeof statement == 'string') {
-    statement = { sql: statement, nestTables: '_' };
+function referenceKey(Owner, Model, attr) {
+  var def = Owner.attrs[Owner.primaryKey];
+  if (def && def.binaryUuid && Model.attrs && Model.attrs[attr]) {
+    Model.attrs[attr].binaryUuid = true;
   }
+};
 
-  var after = function(rows, fields) {
-    if (rows.length) {
-      var keys = Object.keys(fields);
-      // Transform colum names
-      var columnNamesToAttrNames = {};
-      for (var attr in Model.attrs) {
-        var columnName = Model.attrs[attr].columnName;
-        if (columnName) columnNamesToAttrNames[columnName] = attr;
-      }
-      var columnNames = Object.keys(columnNamesToAttrNames);
-      if (columnNames.length) {
-        rows.forEach(function(row, i) {
-          columnNames.forEach(function(columnName) {
-            var tableColumnName = Model.tableName + '_' + columnName;
-            if (row[tableColumnName]) {
-              rows[i][Model.tableName + '_' + columnNamesToAttrNames[columnName]] = rows[i][tableColumnName];
-              delete rows[i][tableColumnName];
-            }
-          });
-        });
-      }
-      // Transform boolean values
-      rows.forEach(function(row, i) {
-        for (var key in row) {
-          var attr = key.replace(Model.tableName + '_', '');
-          if (!Model.attrs[attr] || !Model.attrs[attr].type) continue;
-          if (Model.attrs[attr].type == 'boolean') {
-            row[key] = Boolean(row[key]);
-          }
-        }
+/**
+ * Convert binary UUID conditions in `where` to buffers. Equality and `$in`
+ * conditions are supported.
+ *
+ * @param {Model} Model
+ * @param {Object} where
+ * @api private
+ */
+
+function formatWhere(Model, where) {
+  for (var key in where) {
+    var value = where[key];
+    if (key == '$or' || key == '$and') {
+      [].concat(value).forEach(function(where) {
+        formatWhere(Model, where);
       });
+      continue;
     }
-    callback.call(Model, null, rows, fields);
-  };
-
-  Model.db.query(statement, values, function(err, rows, fields) {
-    if (err) {
-      // Re-try query on DEADLOCK error
-      if (~err.message.indexOf('DEADLOCK')) {
-        return (function retry() {
-          var attemptCount = 0;
-          function attempt() {
-            attemptCount++;
-            Model.db.query(statement, values, function(err, rows, fields) {
-              if (err) {
-                if (attemptCount > 3) return callback(err);
-                if (~err.message.indexOf('DEADLOCK')) return attempt();
-                return callback(err);
-              }
-              after(rows, fields);
-            });
-          };
-          attempt();
-        })();
-      }
-      return callback(err);
+    var def = findAttr(Model, key);
+    if (!def || !def.binaryUuid || value == null) continue;
+    if (typeof value == 'string') {
+      where[key] = { $binary: uuidToBuffer(value) };
     }
-    after(rows, fields);
+    else if (Array.isArray(value)) {
+      where[key] = { $in: value.map(uuidToBuffer) };
+    }
+    else if (Array.isArray(value.$in)) {
+      value.$in = value.$in.map(uuidToBuffer);
+    }
+  }
+};
+
+/**
+ * Run aggregate function `fn` on `attr` for models matching `query`, and
+ * call back with its value.
+ *
+ * @param {Model} Model
+ * @param {String} fn
+ * @param {String} attr
+ * @param {Object} query
+ * @param {Function(err, value)} callback
+ * @api private
+ */
+
+function aggregateValue(Model, fn, attr, query, callback) {
+  query = query || {};
+  ['limit', 'offset', 'page', 'pageSize', 'order', 'sort', 'groupBy', 'having'].forEach(function(key) {
+    delete query[key];
+  });
+  var column = { as: 'value' };
+  column[fn] = attr;
+  query.columns = [column];
+  Model.aggregate(query, function(err, rows) {
+    if (err) return callback(err);
+    callback(null, rows.length && rows[0].value != null ? rows[0].value : null);
   });
 };
 
 /**
- * Build SQL query using MoSQL.
+ * Parse aggregate `column` into its SQL and alias.
+ *
+ * @param {Model} Model
+ * @param {String|Object} column
+ * @return {Object}
+ * @api private
+ */
+
+function aggregateColumn(Model, column) {
+  if (typeof column == 'string') {
+    return { sql: columnSQL(Model, column) };
+  }
+  var fn = ['count', 'sum', 'avg', 'min', 'max'].filter(function(fn) {
+    return column[fn];
+  })[0];
+  if (!fn) throw new Error("Invalid aggregate column " + JSON.stringify(column) + ".");
+  var attr = column[fn];
+  if (attr != '*' || fn != 'count') attr = columnSQL(Model, attr);
+  var as = column.as || (attr == '*' ? fn : fn + '_' + column[fn].replace('.', '_'));
+  if (!/^\w+$/.test(as)) throw new Error("Invalid alias " + as + ".");
+  return { sql: fn.toUpperCase() + '(' + attr + ') AS "' + as + '"', as: as };
+};
+
+/**
+ * Return the quoted column of `attr`, which may be prefixed with a table.
+ *
+ * @param {Model} Model
+ * @param {String} attr
+ * @return {String}
+ * @api private
+ */
+
+function columnSQL(Model, attr) {
+  var match = String(attr).match(/^(?:(\w+)\.)?(\w+)$/);
+  if (!match) throw new Error("Invalid column " + attr + ".");
+  var table = match[1] || Model.tableName;
+  var def = table == Model.tableName && Model.attrs[match[2]];
+  return '"' + table + '"."' + (def && def.columnName || match[2]) + '"';
+};
+
+/**
+ * Return the quoted alias `as`, renamed like the columns of `Model` if it is
+ * also an attribute name.
  *
- * @link https://github.com/goodybag/mongo-sql
+ * @param {Model} Model
+ * @param {String} as
+ * @return {String}
+ * @api private
  */
 
-Model.buildSQL = function(query) {
-  var extras = prepareQuery(this, query);
-  var sql = mosql.sql(query);
-
-  // Convert query column names according to attribute defition.
-  for (var attr in this.attrs) {
-    var columnName = this.attrs[attr].columnName;
-    if (columnName) {
-      sql.query = sql.query.replace(
-        new RegExp('"' + attr + '"', 'g'),
-        '"' + columnName + '"'
-      );
-    }
-  }
-
-  if (extras.included) {
-    sql.relations = extras.included;
-  }
-
-  return sql;
+function aliasSQL(Model, as) {
+  var def = Model.attrs[as];
+  return '"' + (def && def.columnName || as) + '"';
 };
 
 /**
- * Formats attributes when set
+ * Build HAVING conditions for `having`, pushing parameters to `values`.
  *
- * @param {Model} model
- * @param {Object} attrs
+ * @param {Model} Model
+ * @param {Object} having
+ * @param {Array} aliases
+ * @param {Array} values
+ * @return {String}
  * @api private
  */
 
-function formatAttrs(model, attrs) {
-  for (var attr in attrs) {
-    var def = model.model.attrs[attr];
-    var val = attrs[attr];
-    if (!def) continue;
-    if (def.type == 'boolean') {
-      attrs[attr] = Boolean(attrs[attr]);
+function havingSQL(Model, having, aliases, values) {
+  var operators = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=', $ne: '!=' };
+  var conditions = [];
+  for (var key in having) {
+    var column = ~aliases.indexOf(key) ? aliasSQL(Model, key) : columnSQL(Model, key);
+    var value = having[key];
+    if (value === null) {
+      conditions.push(column + ' IS NULL');
+      continue;
     }
-    if (def.type == 'date' || def.format == 'date') {
-      if (typeof val == 'object') continue;
-      if (isNaN(val)) {
-        attrs[attr] = new Date(val);
-      }
-      else {
-        attrs[attr] = new Date(val * 1000);
-      }
+    if (typeof value != 'object' || value instanceof Date) value = { $eq: value };
+    for (var op in value) {
+      if (op != '$eq' && !operators[op]) throw new Error("Invalid operator " + op + ".");
+      conditions.push(column + ' ' + (operators[op] || '=') + ' $' + values.push(value[op]));
     }
   }
+  return conditions.join(' AND ');
 };
 
 /**
- * Prepare query.
+ * Find attribute definition for `key`, which may be prefixed with the table
+ * of `Model` or of a related model.
  *
  * @param {Model} Model
- * @param {Object} query
+ * @param {String} key
  * @return {Object}
  * @api private
  */
 
-function prepareQuery(Model, query) {
-  var extras = {};
-  var keywords = [];
-  for (var key in query) {
-    if (query.hasOwnProperty(key) && key.match(/(where|Join)$/)) {
-      keywords.push(key);
-    }
-    if (typeof query[key] == 'string' && !isNaN(query[key])) {
-      query[key] = Number(query[key]);
-    }
-  }
-  // If no keywords, assume where query
-  if (keywords.length == 0) {
-    query.where = {};
-    for (var param in query) {
-      if (query.hasOwnProperty(param)) {
-        if (!param.match(/(include|columns|table|type|values|where|offset|limit|sort|order|groupBy)$/)) {
-          query.where[param] = query[param];
-          delete query[param];
-        }
-      }
-    }
-  }
-  if (query.sort) {
-    query.order = query.sort;
-    delete query.sort;
+function findAttr(Model, key) {
+  var parts = key.split('.');
+  if (parts.length == 1 || parts[0] == Model.tableName) {
+    return Model.attrs[parts.pop()];
   }
-  // Relations
-  var relation, fkWhere;
-  if (query.where) {
-    for (var key in query.where) {
-      if (Model.relations[key]) {
-        fkWhere = key;
-        relation = Model.relations[key];
+  for (var name in Model.relations) {
+    var relation = Model.relations[name];
+    var models = [relation.model, relation.through, relation.owner];
+    for (var len = models.length, i=0; i<len; i++) {
+      if (models[i] && models[i].tableName == parts[0] && models[i].attrs) {
+        return models[i].attrs[parts[1]];
       }
     }
   }
-  if (relation) {
-    if (relation.through) {
-      query.innerJoin = query.innerJoin || {};
-      query.innerJoin[relation.through.tableName] = {};
-      query.innerJoin[relation.through.tableName][relation.throughKey] = '$' + Model.tableName + '.' + Model.primaryKey + '$';
-      query.where[relation.through.tableName + '.' + relation.foreignKey] = query.where[fkWhere];
-    }
-    else {
-      query.where[relation.foreignKey] = query.where[fkWhere];
-    }
-    if (relation.through || relation.foreignKey != fkWhere) {
-      delete query.where[fkWhere];
-    }
-  }
-  if (query.include) {
-    var include = query.include.split(',');
-    delete query.include;
-    extras.included = {};
-    query.leftOuterJoin = query.leftOuterJoin || {};
-    include.forEach(function(relation) {
-      relation = Model.relations[relation];
-      if (!relation) return;
-      if (relation.through) {
-        query.leftOuterJoin[relation.through.tableName] = {};
-        query.leftOuterJoin[relation.model.tableName] = {};
-        query.leftOuterJoin[relation.through.tableName][relation.foreignKey] = '$' + Model.tableName + '.' + Model.primaryKey + '$';
-        query.leftOuterJoin[relation.model.tableName][relation.model.primaryKey] = '$' + relation.through.tableName + '.' + relation.throughKey + '$';
-      }
-      else {
-        query.leftOuterJoin[relation.model.tableName] = {};
-        query.leftOuterJoin[relation.model.tableName][relation.foreignKey] = '$' + Model.tableName + '.' + Model.primaryKey + '$';
-      }
-      query.columns.push({ name: '*', table: relation.model.tableName });
-      query.columns.push({ name: relation.foreignKey, table: (relation.through || relation.model).tableName, as: 'foreign_key' });
-      extras.included[relation.as] = relation;
+};
+
+/**
+ * Generate a random (version 4) UUID.
+ *
+ * @return {String}
+ * @api private
+ */
+
+function uuid() {
+  var bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  return bufferToUuid(bytes);
+};
+
+/**
+ * Convert UUID string `value` to a 16 byte buffer.
+ *
+ * @param {String} value
+ * @return {Buffer}
+ * @api private
+ */
+
+function uuidToBuffer(value) {
+  if (typeof value != 'string') return value;
+  return Buffer.from(value.replace(/-/g, ''), 'hex');
+};
+
+/**
+ * Convert 16 byte `buffer` to a UUID string.
+ *
+ * @param {Buffer} buffer
+ * @return {String}
+ * @api private
+ */
+
+function bufferToUuid(buffer) {
+  var hex = buffer.toString('hex');
+  return hex.substr(0, 8) + '-' + hex.substr(8, 4) + '-' + hex.substr(12, 4)
+    + '-' + hex.substr(16, 4) + '-' + hex.substr(20);
+};
+
+/**
+ * Get `max_allowed_packet` for the pool of `Model`, from the
+ * `maxAllowedPacket` plugin option or the server. The server value is cached
+ * on the pool.
+ *
+ * @param {Model} Model
+ * @param {Function(err, bytes)} callback
+ * @api private
+ */
+
+function maxAllowedPacket(Model, callback) {
+  var db = Model.db;
+  if (db.options.maxAllowedPacket) return callback(null, db.options.maxAllowedPacket);
+  if (db.maxAllowedPacket) return callback(null, db.maxAllowedPacket);
+  db.query('SELECT @@max_allowed_packet AS "max_allowed_packet"', [], function(err, rows) {
+    if (err) return callback(err);
+    db.maxAllowedPacket = Number(rows[0].max_allowed_packet);
+    callback(null, db.maxAllowedPacket);
+  });
+};
+
+/**
+ * Split `models` into chunks of rows with the same attributes, each small
+ * enough to insert in one statement under `max` bytes.
+ *
+ * @param {Model} Model
+ * @param {Array} models
+ * @param {Number} max
+ * @return {Array}
+ * @api private
+ */
+
+function chunkRows(Model, models, max) {
+  var chunks = [];
+  var chunk, signature, size;
+  // Leave room for the statement itself
+  var budget = max - 1024;
+
+  models.forEach(function(model) {
+    var keys = Object.keys(model.attrs).filter(function(key) {
+      return model.attrs[key] !== undefined || Model.attrs[key];
     });
-  }
-  // Values
-  if (query.values) {
-    var values = query.values;
-    for (var key in values) {
-      var def = Model.attrs[key];
-      if (def) {
-        if (def.dataFormatter) {
-          values[key] = def.dataFormatter(values[key], Model);
-        }
-        else if (def.format == 'date' || def.type == 'date') {
-          switch (def.columnType) {
-            case 'datetime':
-              values[key] = values[key].toISOString();
-              break;
-            case 'timestamp':
-              var d = values[key];
-              values[key] = d.getFullYear() + '-' + pad(d.getMonth()) + '-'
-                + pad(d.getDate()) + ' ' + pad(d.getHours()) + ':'
-                + pad(d.getMinutes()) + ':' + pad(d.getSeconds());
-              break;
-            case 'integer':
-            case 'number':
-            default:
-              if (values[key].unix) {
-                values[key] = Math.floor(values[key].unix());
-              }
-              else {
-                values[key] = Math.floor(values[key].getTime() / 1000);
-              }
-          }
-        }
-      }
-      else if (typeof values[key] === 'object') {
-        values[key] = JSON.stringify(values[key]);
-      }
-      else if (typeof values[key] === 'boolean') {
-        values[key] = values[key] ? 1 : 'NULL';
-      }
-      else if (values[key] === undefined) {
-        delete values[key];
-      }
+    var rowSize = 4;
+    keys.forEach(function(key) {
+      var value = model.attrs[key];
+      if (value != null) value = formatValue(Model, key, value);
+      rowSize += Buffer.byteLength(mysql.escape(value)) + 2;
+    });
+    var rowSignature = keys.sort().join(',');
+    if (!chunk || rowSignature != signature || size + rowSize > budget) {
+      chunk = [];
+      chunks.push(chunk);
+      signature = rowSignature;
+      size = 0;
     }
-  }
-  if (!query.table) query.table = Model.tableName;
-  if (!query.type) query.type = 'select';
-  return extras;
-}
+    chunk.push(model);
+    size += rowSize;
+  });
+
+  return chunks;
+};
 
 /**
  * node-mysql query formatter.
@@ -818,6 +3186,24 @@ function queryFormat(query, values) {
   }.bind(this));
 };
 
+/**
+ * Return connection pool for `settings`, creating it if necessary.
+ *
+ * @param {Object} settings
+ * @return {Pool}
+ * @api private
+ */
+
+function connect(settings) {
+  if (!settings.pool) {
+    settings.multipleStatement = true;
+    settings.pool = mysql.createPool(settings);
+    settings.pool.on('connection', configureConnection);
+    process.once('exit', settings.pool.end.bind(settings.pool));
+  }
+  return settings.pool;
+};
+
 /**
  * Enable ANSI_QUOTES and set query formatter for new connections.
  *
@@ -834,6 +3220,286 @@ function configureConnection(connection) {
   });
 };
 
+/**
+ * Transform column names to attribute names and cast boolean values in
+ * given `row`, whose keys are prefixed with the table name.
+ *
+ * @param {Model} Model
+ * @param {Object} row
+ * @return {Object}
+ * @api private
+ */
+
+function formatRow(Model, row) {
+  // Transform colum names
+  for (var attr in Model.attrs) {
+    var columnName = Model.attrs[attr].columnName;
+    if (!columnName) continue;
+    var tableColumnName = Model.tableName + '_' + columnName;
+    if (row[tableColumnName]) {
+      row[Model.tableName + '_' + attr] = row[tableColumnName];
+      delete row[tableColumnName];
+    }
+  }
+  // Transform boolean and binary UUID values
+  for (var key in row) {
+    var attr = key.replace(Model.tableName + '_', '');
+    if (!Model.attrs[attr]) continue;
+    if (Model.attrs[attr].binaryUuid && Buffer.isBuffer(row[key])) {
+      row[key] = bufferToUuid(row[key]);
+    }
+    if (Model.attrs[attr].type == 'boolean') {
+      row[key] = Boolean(row[key]);
+    }
+  }
+  return row;
+};
+
+/**
+ * Load relations `include` of `models` into `model.related`, with one query
+ * per relation and level.
+ *
+ * `include` is a comma separated string or an array of relation names.
+ * Nested relations are separated by dots, as in `posts.comments`.
+ *
+ * @param {Model} Model
+ * @param {Array} models
+ * @param {String|Array|Object} include names or a tree from `includeTree()`
+ * @param {Transaction} tx optional
+ * @param {Function(err)} callback
+ * @api private
+ */
+
+function preload(Model, models, include, tx, callback) {
+  if (!include || !models.length) return callback();
+  var tree = Array.isArray(include) || typeof include != 'object'
+    ? includeTree(include)
+    : include;
+  async.eachSeries(Object.keys(tree), function(name, next) {
+    var relation = Model.relations[name];
+    var load = relation && relation.as == name && loaders[relation.type];
+    if (!load) {
+      var error = new Error("Cannot include " + name + " of " + Model.modelName + ".");
+      error.code = error.status = 400;
+      return next(error);
+    }
+    load(Model, models, relation, tx, function(err, related) {
+      if (err) return next(err);
+      if (!relation.polymorphic || relation.model) {
+        return preload(relation.model, related, tree[name], tx, next);
+      }
+      // Parents of polymorphic relations are of several models
+      async.eachSeries(Object.keys(relation.models), function(type, done) {
+        var Parent = relation.models[type];
+        var parents = related.filter(function(parent) {
+          return parent.model === Parent;
+        });
+        preload(Parent, parents, tree[name], tx, done);
+      }, next);
+    });
+  }, callback);
+};
+
+/**
+ * Load "has many" or "has one" `relation` of `models` with a
+ * `WHERE fk IN (...)` query, and call back with all loaded models.
+ *
+ * @param {Model} Model
+ * @param {Array} models
+ * @param {Object} relation
+ * @param {Transaction} tx optional
+ * @param {Function(err, related)} callback
+ * @api private
+ */
+
+function preloadMany(Model, models, relation, tx, callback) {
+  var Related = relation.model;
+  var single = relation.type == 'hasOne';
+  var ids = [];
+  models.forEach(function(model) {
+    model.related = model.related || {};
+    model.related[relation.as] = single ? null : [];
+    var id = model.primary();
+    if (id != null && !~ids.indexOf(id)) ids.push(id);
+  });
+  if (!ids.length) return callback(null, []);
+
+  // Rows of the join table refer to owners with `foreign_key`
+  var owner = (relation.through || Related).tableName + '_foreign_key';
+  var query = {
+    type: 'select',
+    columns: [
+      { name: '*', table: Related.tableName },
+      { name: relation.foreignKey, table: (relation.through || Related).tableName, as: 'foreign_key' }
+    ],
+    table: Related.tableName,
+    where: {}
+  };
+  if (relation.through) {
+    query.innerJoin = {};
+    query.innerJoin[relation.through.tableName] = {};
+    query.innerJoin[relation.through.tableName][relation.throughKey] =
+      '$' + Related.tableName + '.' + Related.primaryKey + '$';
+    query.where[relation.through.tableName + '.' + relation.foreignKey] = { $in: ids };
+  }
+  else {
+    query.where[relation.foreignKey] = { $in: ids };
+  }
+  if (relation.typeKey) query.where[relation.typeKey] = relation.typeValue;
+  applyScope(Related, query);
+  scopeDeleted(Related, query);
+  delete query.include;
+  var sql = Related.buildSQL(query);
+
+  Related.query(sql.query, sql.values, tx, function(err, rows) {
+    if (err) return callback(err);
+    var byOwner = {};
+    var related = (rows || []).map(function(row) {
+      var key = row[owner];
+      if (Buffer.isBuffer(key)) key = bufferToUuid(key);
+      delete row[owner];
+      var model = hydrate(Related, stripTableName(row, Related.tableName));
+      (byOwner[key] = byOwner[key] || []).push(model);
+      return model;
+    });
+    models.forEach(function(model) {
+      var owned = byOwner[model.primary()];
+      model.related[relation.as] = single ? (owned ? owned[0] : null) : owned || [];
+    });
+    callback(null, related);
+  });
+};
+
+/**
+ * Load "belongs to" `relation` of `models` with one query for all parents,
+ * or one per parent model for polymorphic relations, and call back with the
+ * loaded parents.
+ *
+ * @param {Model} Model
+ * @param {Array} models
+ * @param {Object} relation
+ * @param {Transaction} tx optional
+ * @param {Function(err, related)} callback
+ * @api private
+ */
+
+function preloadBelongsTo(Model, models, relation, tx, callback) {
+  var groups = {};
+  for (var len = models.length, i=0; i<len; i++) {
+    var model = models[i];
+    model.related = model.related || {};
+    model.related[relation.as] = null;
+    var id = model.attrs[relation.foreignKey];
+    if (id == null) continue;
+    var Parent = relation.model;
+    if (relation.polymorphic) {
+      var type = model.attrs[relation.typeKey];
+      if (type == null) continue;
+      Parent = relation.models[type];
+      if (!Parent) return callback(unknownType(Model, relation, type));
+    }
+    var group = groups[Parent.modelName] = groups[Parent.modelName]
+      || { model: Parent, ids: [], models: [] };
+    if (!~group.ids.indexOf(id)) group.ids.push(id);
+    group.models.push(model);
+  }
+
+  var parents = [];
+  async.eachSeries(Object.keys(groups), function(name, next) {
+    var Parent = groups[name].model;
+    var query = {
+      type: 'select',
+      columns: [
+        { name: '*', table: Parent.tableName }
+      ],
+      table: Parent.tableName,
+      where: {}
+    };
+    query.where[Parent.primaryKey] = { $in: groups[name].ids };
+    applyScope(Parent, query);
+    scopeDeleted(Parent, query);
+    delete query.include;
+    var sql = Parent.buildSQL(query);
+
+    Parent.query(sql.query, sql.values, tx, function(err, rows) {
+      if (err) return next(err);
+      var byKey = {};
+      (rows || []).forEach(function(row) {
+        var parent = hydrate(Parent, stripTableName(row, Parent.tableName));
+        byKey[parent.primary()] = parent;
+        parents.push(parent);
+      });
+      groups[name].models.forEach(function(model) {
+        model.related[relation.as] = byKey[model.attrs[relation.foreignKey]] || null;
+      });
+      next();
+    });
+  }, function(err) {
+    if (err) return callback(err);
+    callback(null, parents);
+  });
+};
+
+/**
+ * Return an error for parent `type` of polymorphic `relation` of `Model`
+ * that no model declared.
+ *
+ * @param {Model} Model
+ * @param {Object} relation
+ * @param {String} type
+ * @return {Error}
+ * @api private
+ */
+
+function unknownType(Model, relation, type) {
+  return new Error("Unknown " + relation.typeKey + " " + type + " of "
+    + Model.modelName + ".");
+};
+
+// Loaders for included relations by type
+var loaders = {
+  hasMany: preloadMany,
+  hasOne: preloadMany,
+  belongsTo: preloadBelongsTo
+};
+
+/**
+ * Parse `include` into a tree of relation names, e.g.
+ * `posts.comments,posts.author` becomes
+ * `{ posts: { comments: {}, author: {} } }`.
+ *
+ * @param {String|Array} include
+ * @return {Object}
+ * @api private
+ */
+
+function includeTree(include) {
+  var tree = {};
+  [].concat(include).join(',').split(',').forEach(function(path) {
+    var node = tree;
+    path.trim().split('.').forEach(function(name) {
+      if (!name) return;
+      node = node[name] = node[name] || {};
+    });
+  });
+  return tree;
+};
+
+/**
+ * Build a `Model` for stored `attrs`.
+ *
+ * @param {Model} Model
+ * @param {Object} attrs
+ * @return {Model}
+ * @api private
+ */
+
+function hydrate(Model, attrs) {
+  var model = new Model(attrs);
+  model.persisted = true;
+  return model;
+};
+
 /**
  * Strip given `table` prefix from attribute names.
  *
@@ -0,0 +1,562 @@
+/**
+ * modella-mysql query
+ *
+ * Immutable, chainable query builder that compiles to the mongo-sql query
+ * objects taken by `Model.all()`, with named scopes as methods.
+ *
+ * @author Alex Mingoia <talk@alexmingoia.com>
+ * @link https://github.com/bloodhound/modella-mysql
+ */
+
+var extend = require('extend');
+
+module.exports = Query;
+module.exports.merge = merge;
+module.exports.normalizeWhere = normalizeWhere;
+module.exports.whereOptions = whereOptions;
+
+// Query parameters that are options rather than where conditions, unless
+// given inside `where` or not used by the query method
+var options = [
+  'transaction', 'count', 'lock', 'after', 'before', 'page', 'pageSize',
+  'withDeleted', 'onlyDeleted', 'force', 'unscoped', 'having', 'events'
+];
+
+/**
+ * Initialize a new `Query` for `Model` with query object `query`.
+ *
+ * Every builder method returns a new query, so queries can be reused. Named
+ * scopes of `Model` are available as methods and can be chained:
+ * `Post.published().recent(7).order('-created_at').all(callback)`.
+ *
+ * @param {Model} Model
+ * @param {Object} query optional
+ * @param {Boolean} unscoped bypass the default scope
+ * @api private
+ */
+
+function Query(Model, query, unscoped) {
+  var self = this;
+  this.model = Model;
+  this.query = query || {};
+  this.unscoped = !!unscoped;
+  Object.keys(Model.scopes || {}).forEach(function(name) {
+    self[name] = function() {
+      return self.scope(name, [].slice.call(arguments));
+    };
+  });
+}
+
+/**
+ * Return a new query with named scope `name` applied, calling a scope
+ * function with `args`.
+ *
+ * @param {String} name
+ * @param {Array} args
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.scope = function(name, args) {
+  var scope = this.model.scopes[name];
+  if (!scope) throw new Error("Unknown scope " + name + ".");
+  if (typeof scope == 'function') scope = scope.apply(this.model, args || []);
+  var query = merge(extend(true, {}, this.query), scope || {});
+  return new Query(this.model, query, this.unscoped);
+};
+
+/**
+ * Return a new query with where `conditions` added, combined with `$and` if
+ * both set the same keys.
+ *
+ * @param {Object} conditions
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.where = function(conditions) {
+  return this.clone(function(query) {
+    query.where = and(query.where, extend(true, {}, conditions));
+  });
+};
+
+/**
+ * Return a new query matching rows of this query or `conditions`.
+ *
+ * @param {Object} conditions
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.orWhere = function(conditions) {
+  return this.clone(function(query) {
+    conditions = extend(true, {}, conditions);
+    query.where = isEmpty(query.where)
+      ? conditions
+      : { $or: [query.where, conditions] };
+  });
+};
+
+/**
+ * Return a new query ordered by `order`, after any previous order. Accepts
+ * strings such as `"-created_at, name"` or `"name desc"`, arrays of those,
+ * or mongo-sql order objects.
+ *
+ * @param {String|Array|Object} order
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.order = function(order) {
+  return this.clone(function(query) {
+    var current = query.order || query.sort;
+    delete query.sort;
+    query.order = {};
+    if (current) parseOrder(current, query.order);
+    parseOrder(order, query.order);
+  });
+};
+
+/**
+ * Return a new query including relations `include`, given as an array or a
+ * comma separated string.
+ *
+ * @param {String|Array} include
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.include = function(include) {
+  return this.clone(function(query) {
+    merge(query, { include: [].concat(include).join(',') });
+  });
+};
+
+/**
+ * Return a new query limited to `limit` models.
+ *
+ * @param {Number} limit
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.limit = function(limit) {
+  return this.clone(function(query) {
+    query.limit = limit;
+  });
+};
+
+/**
+ * Return a new query skipping `offset` models.
+ *
+ * @param {Number} offset
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.offset = function(offset) {
+  return this.clone(function(query) {
+    query.offset = offset;
+  });
+};
+
+/**
+ * Return a new query for page `page` (starting at 0) of the limit.
+ *
+ * @param {Number} page
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.page = function(page) {
+  return this.clone(function(query) {
+    query.page = page;
+  });
+};
+
+/**
+ * Return a new query with `query` merged in, which may be another `Query`
+ * or a query object.
+ *
+ * @param {Query|Object} query
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.merge = function(query) {
+  var unscoped = this.unscoped || !!query.unscoped;
+  if (query instanceof Query) query = query.query;
+  var merged = merge(extend(true, {}, query), this.query);
+  return new Query(this.model, merged, unscoped);
+};
+
+/**
+ * Return a copy of this query, changed by `fn(query)`.
+ *
+ * @param {Function(query)} fn
+ * @return {Query}
+ * @api private
+ */
+
+Query.prototype.clone = function(fn) {
+  var query = extend(true, {}, this.query);
+  if (!query.where) query.where = {};
+  fn(query);
+  return new Query(this.model, query, this.unscoped);
+};
+
+/**
+ * Compile to a query object for `Model.all()` and the other query methods,
+ * with `query` merged in.
+ *
+ * @param {Object} query optional
+ * @return {Object}
+ * @api public
+ */
+
+Query.prototype.compile = function(query) {
+  query = merge(query || {}, extend(true, {}, this.query));
+  if (this.unscoped) query.unscoped = true;
+  return query;
+};
+
+/**
+ * Get all models matching given `query` and this query's scopes.
+ *
+ * @see Model.all
+ * @param {Object} query optional
+ * @param {Function(err, collection)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.all = function(query, callback) {
+  if (typeof query == 'function') {
+    callback = query;
+    query = {};
+  }
+  return this.model.all(this.compile(query), callback);
+};
+
+/**
+ * Find model by `id` or query within this query's scopes.
+ *
+ * @see Model.find
+ * @param {Number|Object} id or query
+ * @param {Function(err, model)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.find = Query.prototype.get = function(id, callback) {
+  var Model = this.model;
+  var query = id;
+  if (typeof id != 'object' || Array.isArray(id)) {
+    query = { where: {} };
+    [].concat(id).forEach(function(value, i) {
+      query.where[(Model.primaryKeys || [Model.primaryKey])[i]] = value;
+    });
+  }
+  return Model.find(this.compile(query), callback);
+};
+
+/**
+ * Remove all models matching given `query` and this query's scopes.
+ *
+ * @see Model.removeAll
+ * @param {Object} query optional
+ * @param {Function(err, affectedRows)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.removeAll = function(query, callback) {
+  if (typeof query == 'function') {
+    callback = query;
+    query = {};
+  }
+  query = this.compile(query);
+  var error = pagingError(query);
+  if (error) return fail(error, callback);
+  return this.model.removeAll(query, callback);
+};
+
+/**
+ * Remove all models matching this query.
+ *
+ * @see Model.removeAll
+ * @param {Function(err, affectedRows)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.remove = function(callback) {
+  return this.removeAll({}, callback);
+};
+
+/**
+ * Update all models matching this query with `values`.
+ *
+ * @see Model.updateAll
+ * @param {Object} values
+ * @param {Function(err, result)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.update = function(values, callback) {
+  var query = this.compile();
+  var error = pagingError(query);
+  if (error) return fail(error, callback);
+  return this.model.updateAll(query, values, callback);
+};
+
+/**
+ * Get the first model matching this query, or `null`.
+ *
+ * @param {Function(err, model)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.first = function(callback) {
+  var query = this.compile({ limit: 1, count: 'none' });
+  if (typeof callback != 'function') {
+    return this.model.all(query).then(function(result) {
+      return result.data[0] || null;
+    });
+  }
+  this.model.all(query, function(err, result) {
+    if (err) return callback(err);
+    callback(null, result.data[0] || null);
+  });
+};
+
+/**
+ * Count models matching this query.
+ *
+ * @see Model.count
+ * @param {Function(err, count)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.count = function(callback) {
+  return this.model.count(this.compile(), callback);
+};
+
+/**
+ * Compute the sum, average, minimum or maximum of `attr` for models matching
+ * this query.
+ *
+ * @see Model.sum
+ * @param {String} attr
+ * @param {Function(err, value)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+['sum', 'avg', 'min', 'max'].forEach(function(fn) {
+  Query.prototype[fn] = function(attr, callback) {
+    return this.model[fn](attr, this.compile(), callback);
+  };
+});
+
+/**
+ * Get aggregate rows for models matching this query, with `query` merged in.
+ *
+ * @see Model.aggregate
+ * @param {Object} query
+ * @param {Function(err, rows)} callback
+ * @return {Promise}
+ * @api public
+ */
+
+Query.prototype.aggregate = function(query, callback) {
+  return this.model.aggregate(this.compile(query), callback);
+};
+
+/**
+ * Stream models matching this query.
+ *
+ * @see Model.stream
+ * @return {stream.Readable}
+ * @api public
+ */
+
+Query.prototype.stream = function() {
+  return this.model.stream(this.compile());
+};
+
+/**
+ * Merge `scope` into `query`.
+ *
+ * Where conditions are combined, with `$and` if both set the same keys.
+ * Includes are joined. The order and other parameters of `query` take
+ * precedence. `scope` is copied, so it can be reused.
+ *
+ * @param {Object} query
+ * @param {Object} scope
+ * @return {Object} query
+ * @api private
+ */
+
+function merge(query, scope) {
+  scope = extend(true, {}, scope);
+  normalizeWhere(scope);
+  normalizeWhere(query);
+  if (scope.where) query.where = and(scope.where, query.where);
+  if (scope.include) {
+    var include = query.include ? query.include.split(',') : [];
+    scope.include.split(',').forEach(function(relation) {
+      if (!~include.indexOf(relation)) include.push(relation);
+    });
+    query.include = include.join(',');
+  }
+  if (scope.sort && !scope.order) scope.order = scope.sort;
+  for (var key in scope) {
+    if (key == 'where' || key == 'include' || key == 'sort') continue;
+    if (key == 'order' && query.sort) continue;
+    if (query[key] === undefined) query[key] = scope[key];
+  }
+  return query;
+};
+
+/**
+ * Return an error if `query` has a limit, offset or page, which removes and
+ * updates would ignore.
+ *
+ * @param {Object} query
+ * @return {Error}
+ * @api private
+ */
+
+function pagingError(query) {
+  if (['limit', 'offset', 'page', 'pageSize'].some(function(key) {
+    return query[key] != null;
+  })) {
+    var error = new Error("Cannot remove or update with a limit, offset or page.");
+    error.code = error.status = 400;
+    return error;
+  }
+};
+
+/**
+ * Pass `error` to `callback`, or return a rejected promise without one.
+ *
+ * @param {Error} error
+ * @param {Function} callback
+ * @return {Promise}
+ * @api private
+ */
+
+function fail(error, callback) {
+  if (typeof callback == 'function') return callback(error);
+  return Promise.reject(error);
+};
+
+/**
+ * Add the terms of `order`, a string, array or order object, to `terms`.
+ *
+ * @param {String|Array|Object} order
+ * @param {Object} terms
+ * @api private
+ */
+
+function parseOrder(order, terms) {
+  if (isObject(order)) return extend(terms, order);
+  if (typeof order == 'string') order = order.split(',');
+  order.forEach(function(part) {
+    var match = String(part).trim().match(/^(-)?([\w.]+)(?:\s+(asc|desc))?$/i);
+    if (!match) throw new Error("Invalid order " + part + ".");
+    terms[match[2]] = match[1] ? 'desc' : (match[3] || 'asc').toLowerCase();
+  });
+};
+
+/**
+ * Move bare parameters of `query` into `query.where` if it has no `where` or
+ * join keywords. Keywords and `options` stay in place, so attributes with
+ * those names can only be filtered by inside `where`.
+ *
+ * @param {Object} query
+ * @api private
+ */
+
+function normalizeWhere(query) {
+  for (var key in query) {
+    if (query.hasOwnProperty(key) && key.match(/(where|Join)$/)) return;
+  }
+  // If no keywords, assume where query
+  query.where = {};
+  for (var param in query) {
+    if (query.hasOwnProperty(param) && !~options.indexOf(param)) {
+      if (!param.match(/^(include|columns|table|type|values|where|offset|limit|sort|order|groupBy)$/)) {
+        query.where[param] = query[param];
+        delete query[param];
+      }
+    }
+  }
+};
+
+/**
+ * Move options left in `query` into `query.where`. Query methods remove the
+ * options they use before building SQL, so others are where conditions, and
+ * are never dropped from a DELETE or UPDATE.
+ *
+ * @param {Object} query
+ * @api private
+ */
+
+function whereOptions(query) {
+  options.forEach(function(key) {
+    if (!query.hasOwnProperty(key)) return;
+    if (query[key] !== undefined) {
+      query.where = query.where || {};
+      if (query.where[key] === undefined) query.where[key] = query[key];
+    }
+    delete query[key];
+  });
+};
+
+/**
+ * Combine where conditions `a` and `b`, with `$and` if both set the same
+ * keys.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @return {Object}
+ * @api private
+ */
+
+function and(a, b) {
+  if (isEmpty(a)) return b;
+  if (isEmpty(b)) return a;
+  var overlap = Object.keys(a).some(function(key) {
+    return key in b;
+  });
+  return overlap ? { $and: [a, b] } : extend(a, b);
+};
+
+/**
+ * Return whether `where` has no conditions.
+ *
+ * @param {Object} where
+ * @return {Boolean}
+ * @api private
+ */
+
+function isEmpty(where) {
+  return !where || !Object.keys(where).length;
+};
+
+/**
+ * Return whether `value` is a plain object.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isObject(value) {
+  return !!value && typeof value == 'object' && !Array.isArray(value);
+};
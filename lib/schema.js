@@ -0,0 +1,469 @@
+/**
+ * modella-mysql schema
+ *
+ * Generates MySQL DDL from Modella attribute definitions.
+ *
+ * Attribute definition properties used:
+ *
+ *     - type          string, number, boolean, date or object
+ *     - length        column length
+ *     - columnName    column name if different from attribute name
+ *     - columnType    MySQL column type (date columns: datetime, timestamp
+ *                     or integer)
+ *     - primaryKey    primary key column
+ *     - index         `true` or an index name shared by several attributes
+ *     - unique        `true` or a unique key name shared by several attributes
+ *     - columnDefault SQL default (falls back to a scalar `defaultValue`)
+ *     - nullable      `false` for NOT NULL columns
+ *
+ * @author Alex Mingoia <talk@alexmingoia.com>
+ * @link https://github.com/bloodhound/modella-mysql
+ */
+
+var async = require('async');
+
+/**
+ * Build `CREATE TABLE` statement for given `Model`.
+ *
+ * options
+ *     - engine  Table engine (Default: InnoDB).
+ *     - charset Default character set (Default: utf8).
+ *
+ * @param {Model} Model
+ * @param {Object} options
+ * @return {String}
+ * @api public
+ */
+
+exports.createTable = function(Model, options) {
+  options = options || {};
+
+  var lines = [];
+  var primaryKeys = [];
+
+  for (var attr in Model.attrs) {
+    lines.push('  ' + exports.columnDefinition(Model, attr));
+    if (Model.attrs[attr].primaryKey) {
+      primaryKeys.push(quote(exports.columnName(Model, attr)));
+    }
+  }
+
+  if (primaryKeys.length) {
+    lines.push('  PRIMARY KEY (' + primaryKeys.join(', ') + ')');
+  }
+
+  var indexes = exports.indexes(Model);
+  for (var name in indexes) {
+    lines.push('  ' + exports.indexDefinition(name, indexes[name]));
+  }
+
+  return 'CREATE TABLE IF NOT EXISTS ' + quote(Model.tableName) + ' (\n'
+    + lines.join(',\n') + '\n) ENGINE=' + (options.engine || 'InnoDB')
+    + ' DEFAULT CHARSET=' + (options.charset || 'utf8');
+};
+
+/**
+ * Build `DROP TABLE` statement for given `Model`.
+ *
+ * @param {Model} Model
+ * @return {String}
+ * @api public
+ */
+
+exports.dropTable = function(Model) {
+  return 'DROP TABLE IF EXISTS ' + quote(Model.tableName);
+};
+
+/**
+ * Build column definition for given `attr`.
+ *
+ * @param {Model} Model
+ * @param {String} attr
+ * @return {String}
+ * @api public
+ */
+
+exports.columnDefinition = function(Model, attr) {
+  var def = Model.attrs[attr];
+  var sql = quote(exports.columnName(Model, attr)) + ' '
+    + exports.columnType(Model, attr);
+
+  if (def.primaryKey || def.nullable === false) {
+    sql += ' NOT NULL';
+  }
+
+  var value = def.columnDefault;
+  if (value === undefined && def.defaultValue !== undefined) {
+    value = def.defaultValue;
+  }
+  if (value !== undefined && value !== null && typeof value != 'object') {
+    sql += ' DEFAULT ' + formatDefault(value);
+  }
+
+  if (def.primaryKey && isAutoIncrement(Model, attr)) {
+    sql += ' AUTO_INCREMENT';
+  }
+
+  return sql;
+};
+
+/**
+ * Return MySQL column type for given `attr`.
+ *
+ * @param {Model} Model
+ * @param {String} attr
+ * @return {String}
+ * @api public
+ */
+
+exports.columnType = function(Model, attr) {
+  var def = Model.attrs[attr];
+
+  if (def.type == 'date' || def.format == 'date') {
+    switch (def.columnType) {
+      case 'datetime':
+        return 'DATETIME';
+      case 'timestamp':
+        return 'TIMESTAMP';
+      default:
+        return 'INT';
+    }
+  }
+
+  if (def.binaryUuid) return 'BINARY(16)';
+
+  if (def.columnType) {
+    return def.columnType.toUpperCase() + (def.length ? '(' + def.length + ')' : '');
+  }
+
+  if (attr == Model.primaryKey && Model.keyStrategy == 'uuid') {
+    if (!def.type || def.type == 'string') return 'CHAR(36)';
+  }
+
+  switch (def.type) {
+    case 'boolean':
+      return 'TINYINT(1)';
+    case 'number':
+      return def.length ? 'INT(' + def.length + ')' : 'INT';
+    case 'object':
+    case 'array':
+      return 'TEXT';
+    case 'string':
+      return 'VARCHAR(' + (def.length || 255) + ')';
+    default:
+      if (def.primaryKey) return 'INT';
+      return 'VARCHAR(' + (def.length || 255) + ')';
+  }
+};
+
+/**
+ * Return column name for given `attr`.
+ *
+ * @param {Model} Model
+ * @param {String} attr
+ * @return {String}
+ * @api public
+ */
+
+exports.columnName = function(Model, attr) {
+  return Model.attrs[attr].columnName || attr;
+};
+
+/**
+ * Collect index and unique key definitions keyed by index name.
+ *
+ * @param {Model} Model
+ * @return {Object}
+ * @api public
+ */
+
+exports.indexes = function(Model) {
+  var indexes = {};
+
+  for (var attr in Model.attrs) {
+    var def = Model.attrs[attr];
+    var column = exports.columnName(Model, attr);
+    ['index', 'unique'].forEach(function(type) {
+      if (!def[type]) return;
+      var name = def[type] === true
+        ? Model.tableName + '_' + column + '_' + type
+        : def[type];
+      indexes[name] = indexes[name] || { unique: type == 'unique', columns: [] };
+      indexes[name].columns.push(column);
+    });
+  }
+
+  return indexes;
+};
+
+/**
+ * Build index definition for `CREATE TABLE` or `ALTER TABLE ... ADD`.
+ *
+ * @param {String} name
+ * @param {Object} index
+ * @return {String}
+ * @api public
+ */
+
+exports.indexDefinition = function(name, index) {
+  return (index.unique ? 'UNIQUE KEY ' : 'KEY ') + quote(name)
+    + ' (' + index.columns.map(quote).join(', ') + ')';
+};
+
+/**
+ * Collect foreign keys stored in `Model`'s table, declared through
+ * `hasMany`, `hasOne` and `belongsTo` relations. Polymorphic relations have
+ * no foreign key constraint.
+ *
+ * @param {Model} Model
+ * @return {Array} `{ column, references: { table, column } }` objects
+ * @api public
+ */
+
+exports.foreignKeys = function(Model) {
+  var foreignKeys = [];
+  var seen = {};
+
+  for (var key in Model.relations) {
+    var relation = Model.relations[key];
+    var parent = null;
+    if (relation.through || relation.polymorphic) continue;
+    if ((relation.type == 'hasMany' || relation.type == 'hasOne') && relation.model === Model) {
+      parent = relation.owner;
+    }
+    else if (relation.type == 'belongsTo' && relation.model !== Model) {
+      parent = relation.model;
+    }
+    if (!parent || seen[relation.foreignKey]) continue;
+    seen[relation.foreignKey] = true;
+    foreignKeys.push({
+      column: Model.attrs[relation.foreignKey]
+        ? exports.columnName(Model, relation.foreignKey)
+        : relation.foreignKey,
+      references: {
+        table: parent.tableName,
+        column: parent.attrs[parent.primaryKey]
+          ? exports.columnName(parent, parent.primaryKey)
+          : parent.primaryKey
+      }
+    });
+  }
+
+  return foreignKeys;
+};
+
+/**
+ * Compare `Model` with the live table, read from INFORMATION_SCHEMA.
+ *
+ * options
+ *     - drop Include `DROP` statements for extra columns.
+ *
+ * @param {Model} Model
+ * @param {Object} options
+ * @param {Function(err, diff)} callback
+ * @api public
+ */
+
+exports.diff = function(Model, options, callback) {
+  if (typeof options == 'function') {
+    callback = options;
+    options = {};
+  }
+
+  var live = {};
+  var queries = {
+    columns: 'SELECT "COLUMN_NAME", "COLUMN_TYPE" FROM "INFORMATION_SCHEMA"."COLUMNS"'
+      + ' WHERE "TABLE_SCHEMA" = DATABASE() AND "TABLE_NAME" = $1'
+      + ' ORDER BY "ORDINAL_POSITION"',
+    indexes: 'SELECT "INDEX_NAME", "NON_UNIQUE", "COLUMN_NAME" FROM "INFORMATION_SCHEMA"."STATISTICS"'
+      + ' WHERE "TABLE_SCHEMA" = DATABASE() AND "TABLE_NAME" = $1'
+      + ' ORDER BY "INDEX_NAME", "SEQ_IN_INDEX"',
+    foreignKeys: 'SELECT "COLUMN_NAME", "REFERENCED_TABLE_NAME", "REFERENCED_COLUMN_NAME"'
+      + ' FROM "INFORMATION_SCHEMA"."KEY_COLUMN_USAGE"'
+      + ' WHERE "TABLE_SCHEMA" = DATABASE() AND "TABLE_NAME" = $1'
+      + ' AND "REFERENCED_TABLE_NAME" IS NOT NULL'
+  };
+
+  async.eachSeries(Object.keys(queries), function(name, next) {
+    Model.db.query(queries[name], [Model.tableName], function(err, rows) {
+      if (err) return next(err);
+      live[name] = rows || [];
+      next();
+    });
+  }, function(err) {
+    if (err) return callback(err);
+    callback(null, exports.compare(Model, live, options));
+  });
+};
+
+/**
+ * Compare `Model` with `live` INFORMATION_SCHEMA rows.
+ *
+ * @param {Model} Model
+ * @param {Object} live `columns`, `indexes` and `foreignKeys` rows
+ * @param {Object} options
+ * @return {Object}
+ * @api public
+ */
+
+exports.compare = function(Model, live, options) {
+  options = options || {};
+
+  var table = quote(Model.tableName);
+  var diff = {
+    table: Model.tableName,
+    exists: live.columns.length > 0,
+    missingColumns: [],
+    typeMismatches: [],
+    extraColumns: [],
+    missingIndexes: [],
+    missingForeignKeys: [],
+    statements: []
+  };
+
+  if (!diff.exists) {
+    diff.statements.push(exports.createTable(Model, options));
+    return diff;
+  }
+
+  var columns = {};
+  live.columns.forEach(function(row) {
+    columns[row.COLUMN_NAME] = row.COLUMN_TYPE;
+  });
+
+  var defined = {};
+  for (var attr in Model.attrs) {
+    var column = exports.columnName(Model, attr);
+    var expected = exports.columnType(Model, attr);
+    defined[column] = true;
+    if (!columns[column]) {
+      diff.missingColumns.push({ attr: attr, column: column, type: expected });
+      diff.statements.push(
+        'ALTER TABLE ' + table + ' ADD ' + exports.columnDefinition(Model, attr)
+      );
+    }
+    else if (!sameType(expected, columns[column])) {
+      diff.typeMismatches.push({
+        attr: attr,
+        column: column,
+        expected: expected,
+        actual: columns[column]
+      });
+      diff.statements.push(
+        'ALTER TABLE ' + table + ' MODIFY ' + exports.columnDefinition(Model, attr)
+      );
+    }
+  }
+
+  live.columns.forEach(function(row) {
+    if (defined[row.COLUMN_NAME]) return;
+    diff.extraColumns.push({ column: row.COLUMN_NAME, type: row.COLUMN_TYPE });
+    if (options.drop) {
+      diff.statements.push(
+        'ALTER TABLE ' + table + ' DROP ' + quote(row.COLUMN_NAME)
+      );
+    }
+  });
+
+  var liveIndexes = {};
+  live.indexes.forEach(function(row) {
+    liveIndexes[row.INDEX_NAME] = liveIndexes[row.INDEX_NAME] || [];
+    liveIndexes[row.INDEX_NAME].push(row.COLUMN_NAME);
+  });
+  var indexes = exports.indexes(Model);
+  for (var name in indexes) {
+    if (liveIndexes[name]) continue;
+    diff.missingIndexes.push({
+      name: name,
+      columns: indexes[name].columns,
+      unique: indexes[name].unique
+    });
+    diff.statements.push(
+      'ALTER TABLE ' + table + ' ADD ' + exports.indexDefinition(name, indexes[name])
+    );
+  }
+
+  exports.foreignKeys(Model).forEach(function(foreignKey) {
+    for (var len = live.foreignKeys.length, i=0; i<len; i++) {
+      var row = live.foreignKeys[i];
+      if (row.COLUMN_NAME == foreignKey.column
+      && row.REFERENCED_TABLE_NAME == foreignKey.references.table) {
+        return;
+      }
+    }
+    diff.missingForeignKeys.push(foreignKey);
+    diff.statements.push(
+      'ALTER TABLE ' + table + ' ADD CONSTRAINT '
+      + quote(Model.tableName + '_' + foreignKey.column + '_foreign')
+      + ' FOREIGN KEY (' + quote(foreignKey.column) + ') REFERENCES '
+      + quote(foreignKey.references.table)
+      + ' (' + quote(foreignKey.references.column) + ')'
+    );
+  });
+
+  return diff;
+};
+
+/**
+ * Quote identifier for ANSI_QUOTES mode.
+ *
+ * @param {String} name
+ * @return {String}
+ * @api private
+ */
+
+function quote(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+};
+
+exports.quote = quote;
+
+/**
+ * Format literal column default.
+ *
+ * @param {Mixed} value
+ * @return {String}
+ * @api private
+ */
+
+function formatDefault(value) {
+  if (typeof value == 'boolean') return value ? '1' : '0';
+  if (typeof value == 'number') return String(value);
+  if (value == 'CURRENT_TIMESTAMP') return value;
+  return "'" + String(value).replace(/\\/g, '\\\\').replace(/'/g, "''") + "'";
+};
+
+/**
+ * Check if `actual` column type from INFORMATION_SCHEMA matches `expected`.
+ * Display widths are ignored unless `expected` specifies a length.
+ *
+ * @param {String} expected
+ * @param {String} actual
+ * @return {Boolean}
+ * @api private
+ */
+
+function sameType(expected, actual) {
+  expected = expected.toLowerCase();
+  actual = actual.toLowerCase().replace(/\s+unsigned|\s+zerofill/g, '');
+  if (expected == actual) return true;
+  if (expected.indexOf('(') == -1) {
+    return expected == actual.replace(/\(.*\)/, '');
+  }
+  return false;
+};
+
+/**
+ * Check if primary key `attr` is generated by MySQL.
+ *
+ * @param {Model} Model
+ * @param {String} attr
+ * @return {Boolean}
+ * @api private
+ */
+
+function isAutoIncrement(Model, attr) {
+  var def = Model.attrs[attr];
+  if (Model.keyStrategy && Model.keyStrategy != 'auto') return false;
+  return !def.type || def.type == 'number';
+};
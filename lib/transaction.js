@@ -0,0 +1,137 @@
+/**
+ * modella-mysql transaction
+ *
+ * Transaction on a connection pinned from the pool.
+ *
+ * @author Alex Mingoia <talk@alexmingoia.com>
+ * @link https://github.com/bloodhound/modella-mysql
+ */
+
+module.exports = Transaction;
+module.exports.isDeadlock = isDeadlock;
+
+/**
+ * Initialize a new `Transaction` on given `connection`.
+ *
+ * @param {Connection} connection
+ * @param {Transaction} parent optional
+ * @api private
+ */
+
+function Transaction(connection, parent) {
+  this.connection = connection;
+  this.parent = parent || null;
+  this.root = parent ? parent.root : this;
+  this.savepoint = null;
+  this.savepoints = 0;
+  this.finished = false;
+}
+
+/**
+ * Run `statement` on the transaction's connection.
+ *
+ * @param {String|Object} statement
+ * @param {Array} values
+ * @param {Function(err, rows, fields)} callback
+ * @api public
+ */
+
+Transaction.prototype.query = function(statement, values, callback) {
+  if (this.finished) {
+    return callback(new Error("Transaction has already finished."));
+  }
+  this.connection.query(statement, values, callback);
+};
+
+/**
+ * Run `body` inside a savepoint of this transaction.
+ *
+ * `body` may call `done(err, result)` or return a promise.
+ *
+ * @param {Function(tx, done)} body
+ * @param {Function(err, result)} callback
+ * @api public
+ */
+
+Transaction.prototype.transaction = function(body, callback) {
+  var tx = new Transaction(this.connection, this);
+  tx.savepoint = 'sp_' + (++this.root.savepoints);
+  tx.run(body, callback);
+};
+
+/**
+ * Begin, run `body`, then commit or roll back. Errors thrown by `body` roll
+ * back too.
+ *
+ * @param {Function(tx, done)} body
+ * @param {Function(err, result)} callback
+ * @api private
+ */
+
+Transaction.prototype.run = function(body, callback) {
+  var tx = this;
+  var statements = this.savepoint ? {
+    begin: 'SAVEPOINT ' + this.savepoint,
+    commit: 'RELEASE SAVEPOINT ' + this.savepoint,
+    rollback: 'ROLLBACK TO SAVEPOINT ' + this.savepoint
+  } : {
+    begin: 'START TRANSACTION',
+    commit: 'COMMIT',
+    rollback: 'ROLLBACK'
+  };
+
+  this.connection.query(statements.begin, [], function(err) {
+    if (err) return callback(err);
+    var called = false;
+    var done = function(err, result) {
+      if (called) return;
+      called = true;
+      if (err) {
+        // MySQL has already rolled back the whole transaction on DEADLOCK
+        if (tx.savepoint && isDeadlock(err)) {
+          tx.finished = true;
+          return callback(err);
+        }
+        return tx.connection.query(statements.rollback, [], function() {
+          tx.finished = true;
+          callback(err);
+        });
+      }
+      tx.connection.query(statements.commit, [], function(err) {
+        if (err) {
+          return tx.connection.query(statements.rollback, [], function() {
+            tx.finished = true;
+            callback(err);
+          });
+        }
+        tx.finished = true;
+        callback(null, result);
+      });
+    };
+    try {
+      var returned = body(tx, done);
+    }
+    catch (err) {
+      return done(err);
+    }
+    if (returned && typeof returned.then == 'function') {
+      returned.then(function(result) {
+        done(null, result);
+      }, function(err) {
+        done(err || new Error("Transaction failed."));
+      });
+    }
+  });
+};
+
+/**
+ * Check if given `err` is a DEADLOCK error.
+ *
+ * @param {Error} err
+ * @return {Boolean}
+ * @api public
+ */
+
+function isDeadlock(err) {
+  return !!(err && err.message && ~err.message.indexOf('DEADLOCK'));
+};
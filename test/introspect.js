@@ -0,0 +1,169 @@
+/**
+ * modella-mysql introspection tests.
+ */
+
+var should = require('should');
+var introspect = require('../lib/introspect');
+
+describe('introspect', function() {
+  var live;
+
+  function column(table, name, dataType, columnType, key, extra) {
+    return {
+      TABLE_NAME: table,
+      COLUMN_NAME: name,
+      DATA_TYPE: dataType,
+      COLUMN_TYPE: columnType,
+      CHARACTER_MAXIMUM_LENGTH: /^varchar\((\d+)\)$/.test(columnType)
+        ? Number(RegExp.$1)
+        : null,
+      COLUMN_KEY: key || '',
+      IS_NULLABLE: key == 'PRI' ? 'NO' : 'YES',
+      EXTRA: extra || ''
+    };
+  }
+
+  function foreignKey(table, name, referenced) {
+    return {
+      TABLE_NAME: table,
+      COLUMN_NAME: name,
+      REFERENCED_TABLE_NAME: referenced,
+      REFERENCED_COLUMN_NAME: 'id'
+    };
+  }
+
+  beforeEach(function(done) {
+    live = {
+      tables: [
+        { TABLE_NAME: 'blog_posts' },
+        { TABLE_NAME: 'post_tag' },
+        { TABLE_NAME: 'schema_migrations' },
+        { TABLE_NAME: 'tag' },
+        { TABLE_NAME: 'user' }
+      ],
+      columns: [
+        column('blog_posts', 'id', 'int', 'int(11)', 'PRI', 'auto_increment'),
+        column('blog_posts', 'author_id', 'int', 'int(11)', 'MUL'),
+        column('blog_posts', 'created_at', 'datetime', 'datetime'),
+        column('post_tag', 'post_id', 'int', 'int(11)', 'PRI'),
+        column('post_tag', 'tag_id', 'int', 'int(11)', 'PRI'),
+        column('tag', 'id', 'int', 'int(11)', 'PRI', 'auto_increment'),
+        column('user', 'id', 'int', 'int(11)', 'PRI', 'auto_increment'),
+        column('user', 'first_name', 'varchar', 'varchar(100)'),
+        column('user', 'active', 'tinyint', 'tinyint(1)')
+      ],
+      foreignKeys: [
+        foreignKey('blog_posts', 'author_id', 'user'),
+        foreignKey('post_tag', 'post_id', 'blog_posts'),
+        foreignKey('post_tag', 'tag_id', 'tag')
+      ]
+    };
+    done();
+  });
+
+  describe('.modelName', function() {
+    it('singularizes and camel-cases table names', function(done) {
+      introspect.modelName('user').should.equal('User');
+      introspect.modelName('blog_posts').should.equal('BlogPost');
+      done();
+    });
+  });
+
+  describe('.attrDefinition', function() {
+    it('maps column types to attribute definitions', function(done) {
+      introspect.attrDefinition(column('t', 'a', 'varchar', 'varchar(100)'))
+        .should.eql({ type: 'string', length: 100 });
+      introspect.attrDefinition(column('t', 'a', 'tinyint', 'tinyint(1)'))
+        .should.eql({ type: 'boolean' });
+      introspect.attrDefinition(column('t', 'a', 'timestamp', 'timestamp'))
+        .should.eql({ type: 'date', columnType: 'timestamp' });
+      introspect.attrDefinition(column('t', 'a', 'text', 'text'))
+        .should.eql({ type: 'string', columnType: 'text' });
+      introspect.attrDefinition(column('t', 'a', 'bigint', 'bigint(20)', 'PRI'))
+        .should.eql({ type: 'number', columnType: 'bigint', primaryKey: true });
+      done();
+    });
+  });
+
+  describe('.generate', function() {
+    it('generates a module per table and settings', function(done) {
+      var files = introspect.generate(live, { settings: { database: 'db' } });
+      files.map(function(file) {
+        return file.file;
+      }).should.eql([
+        'blog_posts.js', 'post_tag.js', 'tag.js', 'user.js', 'mysql.settings.js'
+      ]);
+      files[4].source.should.include("database: 'db'");
+      files[4].source.should.include('password: process.env.MYSQL_PASSWORD');
+      done();
+    });
+
+    it('names the settings module apart from tables', function(done) {
+      live.tables.push({ TABLE_NAME: 'settings' });
+      live.columns.push(column('settings', 'id', 'int', 'int(11)', 'PRI', 'auto_increment'));
+      var files = introspect.generate(live);
+      files[4].file.should.equal('settings.js');
+      files[4].source.should.include("var settings = require('./mysql.settings');");
+      files[5].file.should.equal('mysql.settings.js');
+      done();
+    });
+
+    it('defines attributes with column names', function(done) {
+      var source = introspect.generate(live)[3].source;
+      source.should.include("var User = module.exports = modella('User');");
+      source.should.include(
+        ".attr('firstName', { type: 'string', length: 100, columnName: 'first_name' })"
+      );
+      source.should.include(
+        "User.use(mysql(settings, { tableName: 'user' }));"
+      );
+      done();
+    });
+
+    it('uses the manual key strategy without AUTO_INCREMENT', function(done) {
+      live.tables.push({ TABLE_NAME: 'country' });
+      live.columns.push(column('country', 'code', 'char', 'char(2)', 'PRI'));
+      var files = introspect.generate(live);
+      var source = files[4].source;
+      source.should.include(".attr('code', { type: 'string', columnType: 'char', primaryKey: true })");
+      source.should.include("Country.primaryKey = 'code';");
+      source.should.include(
+        "Country.use(mysql(settings, { tableName: 'country', keyStrategy: 'manual' }));"
+      );
+      files[3].source.should.include(
+        "User.use(mysql(settings, { tableName: 'user' }));"
+      );
+      done();
+    });
+
+    it('declares relations from foreign keys', function(done) {
+      var files = introspect.generate(live);
+      files[3].source.should.include("var BlogPost = require('./blog_posts');");
+      files[3].source.should.include(
+        "User.hasMany(BlogPost, { as: 'blogPosts', foreignKey: 'authorId' });"
+      );
+      files[0].source.should.include(
+        "User.belongsTo(BlogPost, { as: 'author', foreignKey: 'authorId' });"
+      );
+      done();
+    });
+
+    it('declares many-to-many relations from join tables', function(done) {
+      var files = introspect.generate(live);
+      files[0].source.should.include([
+        'BlogPost.hasAndBelongsToMany(Tag, {',
+        "  as: 'tags',",
+        '  through: PostTag,',
+        "  fromKey: 'post_id',",
+        "  toKey: 'tag_id'",
+        '});'
+      ].join('\n'));
+      files[1].source.should.include(".attr('post_id', { type: 'number' })");
+      files[1].source.should.include(
+        "PostTag.use(mysql(settings, { tableName: 'post_tag', primaryKey: ['post_id', 'tag_id'] }));"
+      );
+      files[1].source.should.not.include('.hasMany(');
+      done();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * modella-mysql migration tests.
+ */
+
+var should = require('should');
+var mysql = require('..');
+
+describe('migrations', function() {
+  var settings, statements, applied, migrations;
+
+  beforeEach(function(done) {
+    statements = [];
+    applied = ['20130101000000'];
+    settings = {
+      pool: {
+        getConnection: function(cb) {
+          cb(null, {
+            query: function(sql, values, cb) {
+              statements.push(sql);
+              if (~sql.indexOf('SELECT "version"')) {
+                return cb(null, applied.map(function(version) {
+                  return { version: version };
+                }));
+              }
+              cb(null, []);
+            },
+            release: function() {}
+          });
+        }
+      }
+    };
+    migrations = [
+      {
+        version: 20130101000000,
+        name: 'create_users',
+        up: function(m, done) {
+          m.query('CREATE TABLE "user" ("id" INT)', done);
+        },
+        down: function(m, done) {
+          m.query('DROP TABLE "user"', done);
+        }
+      },
+      {
+        version: 20130201000000,
+        name: 'add_user_bio',
+        up: function(m, done) {
+          m.query('ALTER TABLE "user" ADD "bio" TEXT', done);
+        },
+        down: function(m, done) {
+          m.query('ALTER TABLE "user" DROP "bio"', done);
+        }
+      }
+    ];
+    done();
+  });
+
+  describe('.migrate', function() {
+    it('runs pending migrations in transactions', function(done) {
+      mysql.migrate(settings, { migrations: migrations }, function(err, versions) {
+        if (err) return done(err);
+        versions.should.eql(['20130201000000']);
+        statements.slice(2).should.eql([
+          'START TRANSACTION',
+          'ALTER TABLE "user" ADD "bio" TEXT',
+          'INSERT INTO "schema_migrations" ("version", "migrated_at") VALUES ($1, NOW())',
+          'COMMIT'
+        ]);
+        done();
+      });
+    });
+
+    it('rolls back a failing migration', function(done) {
+      migrations[1].up = function(m, done) {
+        done(new Error('bad migration'));
+      };
+      mysql.migrate(settings, { migrations: migrations }, function(err) {
+        should.exist(err);
+        err.should.have.property('message', 'bad migration');
+        statements.slice(2).should.eql(['START TRANSACTION', 'ROLLBACK']);
+        done();
+      });
+    });
+
+    it('skips the transaction when disabled by the migration', function(done) {
+      migrations[1].transaction = false;
+      mysql.migrate(settings, { migrations: migrations }, function(err) {
+        if (err) return done(err);
+        statements.should.not.include('START TRANSACTION');
+        done();
+      });
+    });
+  });
+
+  describe('.rollback', function() {
+    it('runs down step of the latest migration', function(done) {
+      applied.push('20130201000000');
+      mysql.rollback(settings, { migrations: migrations }, function(err, versions) {
+        if (err) return done(err);
+        versions.should.eql(['20130201000000']);
+        statements.slice(2).should.eql([
+          'START TRANSACTION',
+          'ALTER TABLE "user" DROP "bio"',
+          'DELETE FROM "schema_migrations" WHERE "version" = $1',
+          'COMMIT'
+        ]);
+        done();
+      });
+    });
+  });
+
+  describe('.status', function() {
+    it('reports applied and pending migrations', function(done) {
+      mysql.status(settings, { migrations: migrations }, function(err, status) {
+        if (err) return done(err);
+        status.should.eql([
+          { version: '20130101000000', name: 'create_users', applied: true },
+          { version: '20130201000000', name: 'add_user_bio', applied: false }
+        ]);
+        done();
+      });
+    });
+  });
+});
@@ -4,6 +4,7 @@
 
 var should = require('should');
 var modella = require('modella');
+var EventEmitter = require('events').EventEmitter;
 var mysql = require('..');
 
 var settings = {};
@@ -18,6 +19,41 @@ mysql.adapter.createPool = function(settings) {
   };
 };
 
+/**
+ * Replace the pool of `models` with a stub for one test. Statements are
+ * recorded in `db.statements` as `{ sql, values }`, and answered with the
+ * rows or result returned by `db.respond(statement, values)`, or with the
+ * error it returns. Connections run statements on the stub.
+ */
+
+function stubDb(models, respond) {
+  var db = { settings: settings, options: {}, statements: [] };
+  db.respond = respond || function() {
+    return [];
+  };
+  db.query = function(statement, values, cb) {
+    db.statements.push({ sql: statement.sql || statement, values: values });
+    var result = db.respond(statement, values);
+    if (result instanceof Error) return cb(result);
+    cb(null, result, {});
+  };
+  db.getConnection = function(cb) {
+    cb(null, { query: db.query, release: function() {} });
+  };
+  [].concat(models).forEach(function(Model) {
+    Model.db = db;
+  });
+  return db;
+}
+
+/**
+ * Return the SQL of recorded `statement`.
+ */
+
+function sql(statement) {
+  return statement.sql;
+}
+
 describe('module', function(done) {
   it('exports plugin factory', function(done) {
     should.exist(mysql);
@@ -59,13 +95,14 @@ describe('plugin', function() {
 });
 
 describe('Model', function() {
-  var User, Post;
+  var User, Post, db;
 
   beforeEach(function(done) {
     User = modella('User').attr('id').attr('name');
     Post = modella('Post').attr('id').attr('title').attr('user_id');
     User.use(mysql(settings));
     Post.use(mysql(settings));
+    db = stubDb([User, Post]);
     done();
   });
 
@@ -83,18 +120,16 @@ describe('Model', function() {
     it('creates new related models successfully', function(done) {
       User.hasMany('posts', { model: Post, foreignKey: 'user_id' });
       var user = new User({ id: 1, name: 'alex' });
-      var query = Post.db.query;
-      Post.db.query = function(statement, values, cb) {
-        Post.db.query = query;
-        statement.sql.should.equal(
-          'insert into "post" ("title", "user_id") values ($1, $2)'
-        );
-        values.should.include("alex's post", 1);
-        cb(null, {insertId: 2});
+      db.respond = function() {
+        return { insertId: 2 };
       };
       var post = user.posts.create({ title: "alex's post" });
       post.save(function(err) {
         should.not.exist(err);
+        db.statements[0].sql.should.equal(
+          'insert into "post" ("title", "user_id") values ($1, $2)'
+        );
+        db.statements[0].values.should.eql(["alex's post", 1]);
         should.exist(post.primary());
         done();
       });
@@ -111,6 +146,75 @@ describe('Model', function() {
     });
   });
 
+  describe('.hasOne', function() {
+    var Profile, statements, rows;
+
+    beforeEach(function(done) {
+      rows = [{ profile_id: 5, profile_user_id: 1, profile_bio: 'hi' }];
+      Profile = modella('Profile').attr('id').attr('user_id').attr('bio');
+      Profile.use(mysql(settings));
+      User.hasOne(Profile);
+      statements = stubDb([User, Profile], function(statement) {
+        if (/^insert/.test(statement.sql)) return { insertId: 6 };
+        if (/from "user"/.test(statement.sql)) {
+          return [{ user_id: 1, user_name: 'alex' }, { user_id: 2, user_name: 'jeff' }];
+        }
+        return rows;
+      }).statements;
+      done();
+    });
+
+    it('defines an accessor returning one model or null', function(done) {
+      var user = new User({ id: 1, name: 'alex' });
+      user.profile(function(err, profile) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "profile".* from "profile" where "profile"."user_id" = $1 limit $2'
+        );
+        profile.bio().should.equal('hi');
+        rows = [];
+        user.profile().then(function(profile) {
+          should.equal(profile, null);
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('builds and creates models with the foreign key', function(done) {
+      var user = new User({ id: 1, name: 'alex' });
+      user.profile.build({ bio: 'a' }).user_id().should.equal(1);
+      user.profile.create({ bio: 'b' }, function(err, profile) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'insert into "profile" ("bio", "user_id") values ($1, $2)'
+        );
+        profile.primary().should.equal(6);
+        done();
+      });
+    });
+
+    it('can be included and filtered', function(done) {
+      rows = [{ profile_id: 5, profile_user_id: 1, profile_foreign_key: 1 }];
+      User.all({ include: 'profile', count: 'none' }, function(err, result) {
+        if (err) return done(err);
+        statements[1].sql.should.equal(
+          'select "profile".*, "profile"."user_id" as "foreign_key" from "profile" '
+          + 'where "profile"."user_id" in ($1, $2)'
+        );
+        result.data[0].related.profile.primary().should.equal(5);
+        should.equal(result.data[1].related.profile, null);
+        result.data[1].toJSON().related.should.eql({ profile: null });
+        Profile.all({ user_id: 1, count: 'none' }, function(err) {
+          if (err) return done(err);
+          statements[2].sql.should.equal(
+            'select "profile".* from "profile" where "profile"."user_id" = $1 limit $2'
+          );
+          done();
+        });
+      });
+    });
+  });
+
   describe('.hasAndBelongsToMany', function() {
     it('defines proto methods', function(done) {
       User.hasAndBelongsToMany('posts', { as: 'author', model: Post, foreignKey: 'user_id' });
@@ -119,32 +223,149 @@ describe('Model', function() {
       user.posts.should.be.a('function');
       user.posts.should.have.property('create');
       user.posts.create.should.be.a('function');
+      user.posts.add.should.be.a('function');
+      new User({ id: 2 }).posts.model.primary().should.equal(2);
+      user.posts.model.should.equal(user);
       done();
     });
+
+    describe('link methods', function() {
+      var Tag, Through, article, statements, links;
+
+      beforeEach(function(done) {
+        links = [{ article_tag_tag_id: 1 }, { article_tag_tag_id: 2 }];
+        var Article = modella('Article').attr('id').attr('title');
+        Tag = modella('Tag').attr('id').attr('name');
+        Article.use(mysql(settings));
+        Tag.use(mysql(settings));
+        Article.hasAndBelongsToMany(Tag, { as: 'tags' });
+        Through = Article.relations.tags.through;
+        statements = stubDb(Through, function(statement, values) {
+          if (!/^select/.test(statement.sql)) return { affectedRows: 1 };
+          return links.filter(function(link) {
+            return values.length == 1 || ~values.indexOf(link.article_tag_tag_id);
+          });
+        }).statements;
+        article = new Article({ id: 5 });
+        done();
+      });
+
+      it('adds links, ignoring duplicates', function(done) {
+        article.tags.add([new Tag({ id: 2 }), 3, 3], function(err) {
+          if (err) return done(err);
+          statements.map(sql).should.eql([
+            'insert into "article_tag" ("article_id", "tag_id") values ($1, $2), ($3, $4) '
+            + 'on duplicate key update "article_id" = "article_id"'
+          ]);
+          statements[0].values.should.eql([5, 2, 5, 3]);
+          done();
+        });
+      });
+
+      it('removes links', function(done) {
+        article.tags.remove([1, new Tag({ id: 2 })]).then(function() {
+          statements[0].sql.should.equal(
+            'delete from "article_tag" where "article_tag"."article_id" = $1 '
+            + 'and "article_tag"."tag_id" in ($2, $3)'
+          );
+          statements[0].values.should.eql([5, 1, 2]);
+          done();
+        }).catch(done);
+      });
+
+      it('sets links by diffing the current ones', function(done) {
+        article.tags.set([2, 4], function(err) {
+          if (err) return done(err);
+          statements.map(sql).should.eql([
+            'START TRANSACTION',
+            'select "article_tag"."tag_id" from "article_tag" '
+            + 'where "article_tag"."article_id" = $1 FOR UPDATE',
+            'delete from "article_tag" where "article_tag"."article_id" = $1 '
+            + 'and "article_tag"."tag_id" in ($2)',
+            'insert into "article_tag" ("article_id", "tag_id") values ($1, $2) '
+            + 'on duplicate key update "article_id" = "article_id"',
+            'COMMIT'
+          ]);
+          statements[2].values.should.eql([5, 1]);
+          statements[3].values.should.eql([5, 4]);
+          done();
+        });
+      });
+
+      it('checks for links', function(done) {
+        article.tags.has(new Tag({ id: 2 }), function(err, linked) {
+          if (err) return done(err);
+          linked.should.be.true;
+          statements[0].sql.should.equal(
+            'select "article_tag"."tag_id" from "article_tag" '
+            + 'where "article_tag"."article_id" = $1 and "article_tag"."tag_id" in ($2)'
+          );
+          article.tags.has([2, 3], function(err, linked) {
+            if (err) return done(err);
+            linked.should.be.false;
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('.sync', function() {
+    it('creates model and implicit join tables', function(done) {
+      User.hasAndBelongsToMany(Post, { as: 'posts' });
+      User.sync({ force: true }, function(err) {
+        if (err) return done(err);
+        var statements = db.statements.map(sql);
+        statements.should.have.length(4);
+        statements[0].should.equal('DROP TABLE IF EXISTS "user"');
+        statements[1].should.include('CREATE TABLE IF NOT EXISTS "user"');
+        statements[2].should.equal('DROP TABLE IF EXISTS "post_user"');
+        statements[3].should.include('"user_id" INT NOT NULL');
+        statements[3].should.include('"post_id" INT NOT NULL');
+        statements[3].should.include('PRIMARY KEY ("user_id", "post_id")');
+        done();
+      });
+    });
+  });
+
+  describe('.diff', function() {
+    it('compares model with INFORMATION_SCHEMA', function(done) {
+      db.respond = function(statement, values) {
+        values.should.eql(['user']);
+        if (!~statement.indexOf('"COLUMNS"')) return [];
+        return [{ COLUMN_NAME: 'id', COLUMN_TYPE: 'int(11)' }];
+      };
+      User.diff(function(err, diff) {
+        if (err) return done(err);
+        diff.missingColumns.should.have.length(1);
+        diff.statements.should.eql([
+          'ALTER TABLE "user" ADD "name" VARCHAR(255)'
+        ]);
+        done();
+      });
+    });
   });
 
   describe('.all', function() {
     it('finds all models successfully', function(done) {
       var userA = new User({id: 1, name: 'alex'});
       var userB = new User({id: 2, name: 'jeff'});
-      var query = User.db.query;
-      User.db.query = function(statement, values, callback) {
-        statement.sql.should.include(
-          'from "user" where "user"."id" = $1 or "user"."name" = $2 limit $3'
-        );
+      db.respond = function() {
         for (var key in userA.attrs) {
           userA.attrs[User.tableName + '_' + key] = userA.attrs[key];
         }
         for (var key in userB.attrs) {
           userB.attrs[User.tableName + '_' + key] = userB.attrs[key];
         }
-        callback(null, [userA.attrs, userB.attrs], userB.attrs);
+        return [userA.attrs, userB.attrs];
       };
       User.all(
         { where: { $or: { id: userA.primary(), name: "jeff" }}},
         function(err, found) {
-          User.db.query = query;
           if (err) return done(err);
+          db.statements[1].sql.should.include(
+            'from "user" where "user"."id" = $1 or "user"."name" = $2'
+          );
           should.exist(found);
           found.should.have.property('data');
           found.data.should.be.instanceOf(Array);
@@ -156,18 +377,34 @@ describe('Model', function() {
       );
     });
 
+    it('treats option names as conditions only inside where', function(done) {
+      var statements = db.statements;
+      User.all({ name: 'alex', page: 2, count: 'none' }, function(err, found) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "user".* from "user" where "user"."name" = $1 limit $2 offset $3'
+        );
+        statements[0].values.should.eql(['alex', 51, 100]);
+        User.all({ where: { page: 2 }, count: 'none' }, function(err, found) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'select "user".* from "user" where "user"."page" = $1 limit $2'
+          );
+          done();
+        });
+      });
+    });
+
     it('passes errors to callback', function(done) {
       var user = new User({ name: 'alex' });
       user.save(function(err) {
         if (err) return done(err);
-        var query = User.db.query;
-        User.db.query = function(statement, values, callback) {
-          callback(new Error('error finding users.'));
+        db.respond = function() {
+          return new Error('error finding users.');
         };
         User.all(
           { where: { $or: { id: user.primary(), name: "alex" }}},
           function(err, found) {
-            User.db.query = query;
             should.exist(err);
             err.should.have.property('message', 'error finding users.');
             done();
@@ -183,17 +420,16 @@ describe('Model', function() {
         columnName: 'name'
       });
       User.use(require('..')(settings));
-      var user = new User({ fullname: 'alex' });
-      var query = User.db.query;
-      User.db.query = function(statement, values, cb) {
-        User.db.query = query;
-        statement.sql.should.equal(
-          'insert into "user" ("name") values ($1)'
-        );
-        cb(null, { insertId: 1 }, {});
+      User.db = db;
+      db.respond = function() {
+        return { insertId: 1 };
       };
+      var user = new User({ fullname: 'alex' });
       user.save(function(err) {
         if (err) return done(err);
+        db.statements[0].sql.should.equal(
+          'insert into "user" ("name") values ($1)'
+        );
         user.should.have.property('fullname');
         user.fullname().should.equal('alex');
         done();
@@ -201,170 +437,1929 @@ describe('Model', function() {
     });
   });
 
-  describe('.find', function() {
-    it('finds model by id successfully', function(done) {
-      var user = new User({id: 1, name: 'alex'});
-      var query = User.db.query;
-      User.db.query = function(statement, values, cb) {
-        statement.sql.should.equal(
-          'select "user".* from "user" where "user"."id" = $1'
-        );
-        User.db.query = query;
-        for (var key in user.attrs) {
-          user.attrs[User.tableName + '_' + key] = user.attrs[key];
-        }
-        cb(null, [user.attrs], {});
+  describe('.all with cursors', function() {
+    var statements;
+
+    function respond(rows) {
+      db.respond = function(statement) {
+        if (~statement.sql.indexOf('COUNT(*)')) return [{ _count: 10 }];
+        return rows.map(function(row) {
+          return { user_id: row[0], user_name: row[1] };
+        });
       };
-      User.find(user.primary(), function(err, found) {
+    }
+
+    beforeEach(function(done) {
+      statements = db.statements;
+      done();
+    });
+
+    it('returns the first page with a next cursor', function(done) {
+      respond([[1, 'a'], [2, 'b'], [3, 'c']]);
+      User.all({ order: 'name', limit: 2, after: '' }, function(err, found) {
         if (err) return done(err);
-        should.exist(found);
-        user.primary().should.equal(found.primary());
+        statements[1].sql.should.equal(
+          'select "user".* from "user" order by "user"."name" asc, '
+          + '"user"."id" asc limit $1'
+        );
+        statements[1].values.should.eql([3]);
+        found.data.should.have.length(2);
+        found.total.should.equal(10);
+        should.not.exist(found.prevCursor);
+        should.exist(found.nextCursor);
         done();
       });
     });
 
-    it('passes errors to callback', function(done) {
-      var user = new User({ name: 'alex' });
-      user.save(function(err) {
+    it('selects rows after the cursor', function(done) {
+      respond([[1, 'a'], [2, 'b'], [3, 'c']]);
+      User.all({ order: '-name', limit: 2, after: '' }, function(err, found) {
         if (err) return done(err);
-        var query = User.db.query;
-        User.db.query = function(statement, values, callback) {
-          callback(new Error('error finding user.'));
-        };
-        User.find(user.primary(), function(err, found) {
-          User.db.query = query;
-          should.exist(err);
-          err.should.have.property('message', 'error finding user.');
+        statements = db.statements = [];
+        respond([[4, 'd']]);
+        User.all({ order: '-name', limit: 2, after: found.nextCursor }, function(err, found) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'select "user".* from "user" where "user"."name" < $1 or '
+            + '"user"."name" is null or ("user"."name" = $2 and "user"."id" > $3) '
+            + 'order by "user"."name" desc, "user"."id" asc limit $4'
+          );
+          statements[1].values.should.eql(['b', 'b', 2, 3]);
+          found.data.should.have.length(1);
+          should.not.exist(found.nextCursor);
+          should.exist(found.prevCursor);
           done();
         });
       });
     });
-  });
 
-  describe('.removeAll', function() {
-    it('removes models successfully', function(done) {
-      var query = User.db.query;
-      User.db.query = function(statement, values, cb) {
-        statement.sql.should.equal(
-          'delete from "user" where "user"."name" = $1'
+    it('selects rows before the cursor in reverse', function(done) {
+      respond([[3, 'c'], [2, 'b'], [1, 'a']]);
+      var cursor = Buffer.from(JSON.stringify(['d', 4])).toString('base64');
+      User.all({ order: 'name', limit: 2, before: cursor }, function(err, found) {
+        if (err) return done(err);
+        statements[1].sql.should.include(
+          'where "user"."name" < $1 or "user"."name" is null or '
+          + '("user"."name" = $2 and "user"."id" < $3) '
+          + 'order by "user"."name" desc, "user"."id" desc'
         );
-        cb(null, {}, {});
-      };
-      User.removeAll({ name: 'alex' }, function(err) {
-        User.db.query = query;
+        found.data.map(function(user) {
+          return user.name();
+        }).should.eql(['b', 'c']);
+        should.exist(found.prevCursor);
+        should.exist(found.nextCursor);
+        done();
+      });
+    });
+
+    it('pages by date columns', function(done) {
+      var Event = modella('Event').attr('id')
+        .attr('at', { type: 'date', columnType: 'timestamp', nullable: false })
+        .attr('due', { type: 'date', columnType: 'datetime', nullable: false });
+      Event.use(mysql(settings));
+      var at = new Date(2014, 0, 31, 12, 30);
+      var due = new Date(Date.UTC(2014, 2, 1));
+      var events = stubDb(Event, function() {
+        return [
+          { event_id: 1, event_at: at, event_due: due },
+          { event_id: 2, event_at: at, event_due: due }
+        ];
+      });
+      Event.all({ order: 'at,due', limit: 1, after: '', count: 'none' }, function(err, found) {
         if (err) return done(err);
+        JSON.parse(Buffer.from(found.nextCursor, 'base64').toString())
+          .should.eql([at.toISOString(), due.toISOString(), 1]);
+        Event.all({ order: 'at,due', limit: 1, after: found.nextCursor, count: 'none' }, function(err) {
+          if (err) return done(err);
+          events.statements[1].sql.should.equal(
+            'select "event".* from "event" where "event"."at" > $1 or '
+            + '("event"."at" = $2 and "event"."due" > $3) or '
+            + '("event"."at" = $4 and "event"."due" = $5 and "event"."id" > $6) '
+            + 'order by "event"."at" asc, "event"."due" asc, "event"."id" asc limit $7'
+          );
+          events.statements[1].values.should.eql([
+            '2014-01-31 12:30:00', '2014-01-31 12:30:00', due.toISOString(),
+            '2014-01-31 12:30:00', due.toISOString(), 1, 2
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('rejects cursors with invalid dates', function(done) {
+      var Event = modella('Event').attr('id').attr('at', { type: 'date' });
+      Event.use(mysql(settings));
+      stubDb(Event);
+      var cursor = Buffer.from(JSON.stringify(['soon', 1])).toString('base64');
+      Event.all({ order: 'at', after: cursor }, function(err) {
+        should.exist(err);
+        err.should.have.property('status', 400);
         done();
       });
     });
 
-    it('passes errors to callback', function(done) {
-      var query = User.db.query;
-      User.db.query = function(statement, values, cb) {
-        cb(new Error("error removing all models."));
-      };
-      User.removeAll({ name: 'alex' }, function(err) {
-        User.db.query = query;
+    it('pages past NULL values of the ordered column', function(done) {
+      respond([[5, null]]);
+      var cursor = Buffer.from(JSON.stringify([null, 4])).toString('base64');
+      User.all({ order: 'name', limit: 2, after: cursor }, function(err, found) {
+        if (err) return done(err);
+        statements[1].sql.should.equal(
+          'select "user".* from "user" where "user"."name" is not null or '
+          + '("user"."name" is null and "user"."id" > $1) '
+          + 'order by "user"."name" asc, "user"."id" asc limit $2'
+        );
+        statements[1].values.should.eql([4, 3]);
+        statements = db.statements = [];
+        User.all({ order: '-name', limit: 2, after: cursor }, function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.include(
+            'where "user"."name" is null and "user"."id" > $1 order by'
+          );
+          done();
+        });
+      });
+    });
+
+    it('rejects invalid cursors', function(done) {
+      respond([]);
+      User.all({ after: 'nonsense' }, function(err) {
         should.exist(err);
-        err.should.have.property('message', 'error removing all models.');
+        err.should.have.property('status', 400);
         done();
       });
     });
   });
 
-  describe('#save', function() {
-    it('saves new model successfully', function(done) {
-      var user = new User({name: 'alex'});
-      var query = User.db.query;
-      User.db.query = function(statement, values, cb) {
-        User.db.query = query;
-        values.should.include('alex');
-        cb(null, { insertId: 1 }, {});
+  describe('.all count', function() {
+    var statements;
+
+    beforeEach(function(done) {
+      statements = [];
+      db.respond = function(statement) {
+        var text = statement.sql || statement;
+        statements.push(text);
+        if (~text.indexOf('COUNT(*)')) return [{ _count: 10 }];
+        if (~text.indexOf('FOUND_ROWS()')) return [{ _count: 7 }];
+        if (/^EXPLAIN/.test(text)) return [{ rows: 1200 }];
+        return [
+          { user_id: 1, user_name: 'a' },
+          { user_id: 2, user_name: 'b' },
+          { user_id: 3, user_name: 'c' }
+        ];
       };
-      user.save(function(err) {
-        should.not.exist(err);
-        should.exist(user.primary());
+      db.getConnection = function(cb) {
+        cb(null, {
+          query: db.query,
+          release: function() {
+            statements.push('release');
+          }
+        });
+      };
+      done();
+    });
+
+    it('counts all matching rows, not the page, with exact', function(done) {
+      User.all({ name: 'a', limit: 2, offset: 4, order: { id: 'desc' } }, function(err, found) {
+        if (err) return done(err);
+        statements.should.eql([
+          'select COUNT(*) as _count from "user" where "user"."name" = $1',
+          'select "user".* from "user" where "user"."name" = $1 '
+          + 'order by "user"."id" desc limit $2 offset $3'
+        ]);
+        found.total.should.equal(10);
+        found.offset.should.equal(4);
         done();
       });
     });
 
-    it('passes errors to callback', function(done) {
-      var user = new User({ name: 'alex' });
-      var query = User.db.query;
-      User.db.query = function(statement, values, callback) {
-        User.db.query = query;
-        callback(new Error('error saving user.'));
-      };
-      user.save(function(err) {
+    it('skips counting and sets hasMore with none', function(done) {
+      User.all({ limit: 2, count: 'none' }, function(err, found) {
+        if (err) return done(err);
+        statements.should.eql(['select "user".* from "user" limit $1']);
+        found.data.should.have.length(2);
+        found.hasMore.should.equal(true);
+        should.not.exist(found.total);
+        done();
+      });
+    });
+
+    it('uses FOUND_ROWS() on the same connection with found_rows', function(done) {
+      User.all({ limit: 2, count: 'found_rows' }, function(err, found) {
+        if (err) return done(err);
+        statements.should.eql([
+          'select SQL_CALC_FOUND_ROWS "user".* from "user" limit $1',
+          'SELECT FOUND_ROWS() AS "_count"',
+          'release'
+        ]);
+        found.total.should.equal(7);
+        done();
+      });
+    });
+
+    it('uses the EXPLAIN row estimate with estimate', function(done) {
+      User.all({ name: 'a', limit: 2, offset: 4, count: 'estimate' }, function(err, found) {
+        if (err) return done(err);
+        statements[0].should.equal(
+          'EXPLAIN select "user".* from "user" where "user"."name" = $1'
+        );
+        found.total.should.equal(1200);
+        found.estimated.should.equal(true);
+        done();
+      });
+    });
+
+    it('rejects unknown strategies', function(done) {
+      User.all({ count: 'guess' }, function(err) {
         should.exist(err);
-        err.should.have.property('message', 'error saving user.');
+        err.should.have.property('status', 400);
         done();
       });
     });
   });
 
-  describe('#update', function() {
-    it('updates model successfully', function(done) {
-      var user = new User({id: 1, name: 'alex'});
-      var query = User.db.query;
-      User.db.query = function(statement, values, cb) {
-        User.db.query = query;
-        statement.sql.should.equal(
-          'update "user" set "name" = $1 where "user"."id" = $2'
-        );
-        values.should.include('jeff', 1);
-        cb(null, [user], user.attrs);
+  describe('eager loading', function() {
+    var Comment, Group, statements;
+
+    beforeEach(function(done) {
+      Comment = modella('Comment').attr('id').attr('post_id').attr('body');
+      Group = modella('Group').attr('id').attr('name');
+      Comment.use(mysql(settings));
+      Group.use(mysql(settings));
+      User.hasMany('posts', { model: Post, foreignKey: 'user_id' });
+      Post.hasMany('comments', { model: Comment, foreignKey: 'post_id' });
+      User.hasAndBelongsToMany(Group, { as: 'groups' });
+      User.belongsTo(Post, { as: 'author', foreignKey: 'user_id' });
+      var rows = {
+        user: [{ user_id: 1, user_name: 'alex' }, { user_id: 2, user_name: 'jeff' }],
+        post: [
+          { post_id: 10, post_user_id: 1, post_title: 'a', post_foreign_key: 1 },
+          { post_id: 11, post_user_id: 1, post_title: 'b', post_foreign_key: 1 }
+        ],
+        comment: [{ comment_id: 20, comment_post_id: 11, comment_foreign_key: 11 }],
+        group: [{ group_id: 30, group_name: 'admins', group_user_foreign_key: 1 }]
       };
-      user.name('jeff');
-      user.save(function(err) {
-        should.not.exist(err);
-        user.name().should.equal('jeff');
+      statements = stubDb([User, Post, Comment, Group], function(statement) {
+        return rows[statement.sql.match(/from "(\w+)"/)[1]];
+      }).statements;
+      done();
+    });
+
+    it('loads nested relations with one query per level', function(done) {
+      User.all({ include: 'posts.comments', count: 'none' }, function(err, result) {
+        if (err) return done(err);
+        statements.map(function(statement) {
+          return statement.sql;
+        }).should.eql([
+          'select "user".* from "user" limit $1',
+          'select "post".*, "post"."user_id" as "foreign_key" from "post" '
+          + 'where "post"."user_id" in ($1, $2)',
+          'select "comment".*, "comment"."post_id" as "foreign_key" from "comment" '
+          + 'where "comment"."post_id" in ($1, $2)'
+        ]);
+        statements[1].values.should.eql([1, 2]);
+        statements[2].values.should.eql([10, 11]);
+        var alex = result.data[0];
+        alex.related.posts.should.have.length(2);
+        alex.related.posts[0].related.comments.should.have.length(0);
+        alex.related.posts[1].related.comments[0].primary().should.equal(20);
+        result.data[1].related.posts.should.have.length(0);
+        alex.toJSON().related.posts.should.have.length(2);
         done();
       });
     });
 
-    it('passes errors to callback', function(done) {
-      var user = new User({ name: 'alex' });
-      user.save(function(err) {
+    it('loads relations through join tables', function(done) {
+      User.find({ where: { id: 1 }, include: ['groups'] }, function(err, user) {
         if (err) return done(err);
-        user.name('jeff');
-        var query = User.db.query;
-        User.db.query = function(statement, values, callback) {
-          callback(new Error('error updating user.'));
-        };
-        user.save(function(err) {
-          User.db.query = query;
-          should.exist(err);
-          err.should.have.property('message', 'error updating user.');
+        statements[0].sql.should.equal(
+          'select "user".* from "user" where "user"."id" = $1'
+        );
+        statements[1].sql.should.equal(
+          'select "group".*, "group_user"."user_id" as "foreign_key" from "group" '
+          + 'inner join "group_user" on "group_user"."group_id" = "group"."id" '
+          + 'where "group_user"."user_id" in ($1)'
+        );
+        user.related.groups[0].name().should.equal('admins');
+        done();
+      });
+    });
+
+    it('loads "belongs to" relations with one query', function(done) {
+      Post.all({ include: 'author', count: 'none' }, function(err, result) {
+        if (err) return done(err);
+        statements[1].sql.should.equal(
+          'select "user".* from "user" where "user"."id" in ($1)'
+        );
+        statements[1].values.should.eql([1]);
+        result.data[0].related.author.name().should.equal('alex');
+        result.data[1].related.author.should.equal(result.data[0].related.author);
+        var json = result.data[0].toJSON();
+        json.related.author.should.eql({ id: 1, name: 'alex' });
+        done();
+      });
+    });
+
+    it('loads "belongs to" relations of nested relations', function(done) {
+      User.all({ include: 'posts.author', count: 'none' }, function(err, result) {
+        if (err) return done(err);
+        statements.should.have.length(3);
+        result.data[0].related.posts[0].related.author.primary().should.equal(1);
+        done();
+      });
+    });
+
+    it('filters and reads "belongs to" relations', function(done) {
+      Post.all({ author: 1, count: 'none' }, function(err, result) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "post".* from "post" where "post"."user_id" = $1 limit $2'
+        );
+        result.data[0].author(function(err, user) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'select "user".* from "user" where "user"."id" = $1'
+          );
+          user.name().should.equal('alex');
           done();
         });
       });
     });
+
+    it('rejects unknown relations', function(done) {
+      User.all({ include: 'posts.tags' }, function(err) {
+        should.exist(err);
+        err.should.have.property('status', 400);
+        done();
+      });
+    });
   });
 
-  describe('#remove', function() {
-    it('removes model successfully', function(done) {
-      var user = new User({id: 1, name: 'alex'});
-      var query = User.db.query;
-      User.db.query = function(statement, values, cb) {
-        User.db.query = query;
-        statement.sql.should.equal(
-          'delete from "user" where "user"."id" = $1'
-        );
-        values.should.include(1);
-        cb(null, [], {});
+  describe('polymorphic relations', function() {
+    var Note, Photo, statements, rows;
+
+    beforeEach(function(done) {
+      Note = modella('Note').attr('id').attr('body')
+        .attr('notable_id').attr('notable_type');
+      Photo = modella('Photo').attr('id').attr('url');
+      Note.use(mysql(settings));
+      Photo.use(mysql(settings));
+      Post.hasMany(Note, { as: 'notes', polymorphic: 'notable' });
+      Note.belongsTo('notable', { polymorphic: true });
+      Photo.hasMany(Note, { as: 'notes', polymorphic: 'notable' });
+      rows = {
+        note: [
+          { note_id: 1, note_notable_id: 10, note_notable_type: 'Post' },
+          { note_id: 2, note_notable_id: 30, note_notable_type: 'Photo' },
+          { note_id: 3, note_notable_id: 10, note_notable_type: 'Post' }
+        ],
+        post: [{ post_id: 10, post_title: 'a', post_user_id: 1 }],
+        photo: [{ photo_id: 30, photo_url: 'a.png' }],
+        user: [{ user_id: 1, user_name: 'alex' }]
       };
-      user.remove(function(err) {
-        should.not.exist(err);
+      statements = stubDb([Note, Photo, Post, User], function(statement) {
+        return rows[statement.sql.match(/from "(\w+)"/)[1]];
+      }).statements;
+      done();
+    });
+
+    it('constrains the type in "has many" accessors', function(done) {
+      var post = new Post({ id: 10 });
+      post.notes.create({ body: 'hi' }).notable_type().should.equal('Post');
+      post.notes({ count: 'none' }, function(err, notes) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "note".* from "note" where "note"."notable_id" = $1 '
+          + 'and "note"."notable_type" = $2 limit $3'
+        );
+        statements[0].values.slice(0, 2).should.eql([10, 'Post']);
+        done();
+      });
+    });
+
+    it('constrains the type when filtering by parent', function(done) {
+      Note.all({ photo: 30, count: 'none' }, function(err) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "note".* from "note" where "note"."notable_id" = $1 '
+          + 'and "note"."notable_type" = $2 limit $3'
+        );
+        statements[0].values.slice(0, 2).should.eql([30, 'Photo']);
+        Note.all({ notable: new Post({ id: 10 }), count: 'none' }, function(err) {
+          if (err) return done(err);
+          statements[1].values.slice(0, 2).should.eql([10, 'Post']);
+          done();
+        });
+      });
+    });
+
+    it('loads parents of the stored type', function(done) {
+      var note = new Note({ id: 2, notable_id: 30, notable_type: 'Photo' });
+      note.notable(function(err, photo) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "photo".* from "photo" where "photo"."id" = $1'
+        );
+        photo.url().should.equal('a.png');
+        new Note({ id: 4, notable_id: 1, notable_type: 'Video' }).notable()
+          .then(function() {
+            done(new Error('expected an error'));
+          }, function(err) {
+            err.message.should.equal('Unknown notable_type Video of Note.');
+            done();
+          });
+      });
+    });
+
+    it('includes parents of mixed types', function(done) {
+      Note.all({ include: 'notable.notes', count: 'none' }, function(err, result) {
+        if (err) return done(err);
+        statements.map(function(statement) {
+          return statement.sql;
+        }).should.eql([
+          'select "note".* from "note" limit $1',
+          'select "post".* from "post" where "post"."id" in ($1)',
+          'select "photo".* from "photo" where "photo"."id" in ($1)',
+          'select "note".*, "note"."notable_id" as "foreign_key" from "note" '
+          + 'where "note"."notable_id" in ($1) and "note"."notable_type" = $2',
+          'select "note".*, "note"."notable_id" as "foreign_key" from "note" '
+          + 'where "note"."notable_id" in ($1) and "note"."notable_type" = $2'
+        ]);
+        statements[3].values.should.eql([10, 'Post']);
+        statements[4].values.should.eql([30, 'Photo']);
+        result.data[0].related.notable.title().should.equal('a');
+        result.data[1].related.notable.url().should.equal('a.png');
+        result.data[2].related.notable.should.equal(result.data[0].related.notable);
+        result.data[1].toJSON().related.notable.url.should.equal('a.png');
+        done();
+      });
+    });
+
+    it('includes polymorphic "has many" relations', function(done) {
+      Post.all({ include: 'notes', count: 'none' }, function(err, result) {
+        if (err) return done(err);
+        statements[1].sql.should.equal(
+          'select "note".*, "note"."notable_id" as "foreign_key" from "note" '
+          + 'where "note"."notable_id" in ($1) and "note"."notable_type" = $2'
+        );
+        statements[1].values.should.eql([10, 'Post']);
+        done();
+      });
+    });
+  });
+
+  describe('.find', function() {
+    it('finds model by id successfully', function(done) {
+      var user = new User({id: 1, name: 'alex'});
+      db.respond = function() {
+        for (var key in user.attrs) {
+          user.attrs[User.tableName + '_' + key] = user.attrs[key];
+        }
+        return [user.attrs];
+      };
+      User.find(user.primary(), function(err, found) {
+        if (err) return done(err);
+        db.statements[0].sql.should.equal(
+          'select "user".* from "user" where "user"."id" = $1'
+        );
+        should.exist(found);
+        user.primary().should.equal(found.primary());
+        done();
+      });
+    });
+
+    it('filters on option names the method does not use', function(done) {
+      db.respond = function() {
+        return [{ user_id: 1, user_name: 'alex', user_count: 5 }];
+      };
+      User.find({ count: 5 }, function(err, found) {
+        if (err) return done(err);
+        db.statements[0].sql.should.equal(
+          'select "user".* from "user" where "user"."count" = $1'
+        );
+        db.statements[0].values.should.eql([5]);
+        found.primary().should.equal(1);
+        done();
+      });
+    });
+
+    it('passes errors to callback', function(done) {
+      var user = new User({ name: 'alex' });
+      user.save(function(err) {
+        if (err) return done(err);
+        db.respond = function() {
+          return new Error('error finding user.');
+        };
+        User.find(user.primary(), function(err, found) {
+          should.exist(err);
+          err.should.have.property('message', 'error finding user.');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('locking reads', function() {
+    var statements, tx;
+
+    beforeEach(function(done) {
+      statements = [];
+      tx = new mysql.Transaction({
+        query: function(statement, values, cb) {
+          statements.push(statement.sql || statement);
+          cb(null, [{ user_id: 1, user_name: 'alex' }], {});
+        }
+      });
+      done();
+    });
+
+    it('append FOR UPDATE to .find', function(done) {
+      User.find({ id: 1, lock: 'update', transaction: tx }, function(err, user) {
+        if (err) return done(err);
+        statements[0].should.equal(
+          'select "user".* from "user" where "user"."id" = $1 for update'
+        );
+        done();
+      });
+    });
+
+    it('append share and SKIP LOCKED locks to .all', function(done) {
+      User.all({ lock: 'share', count: 'none', transaction: tx }, function(err) {
+        if (err) return done(err);
+        statements[0].should.equal(
+          'select "user".* from "user" limit $1 lock in share mode'
+        );
+        User.all({ lock: 'update skip locked', count: 'none', transaction: tx }, function(err) {
+          if (err) return done(err);
+          statements[1].should.equal(
+            'select "user".* from "user" limit $1 for update skip locked'
+          );
+          done();
+        });
+      });
+    });
+
+    it('are rejected without a transaction', function(done) {
+      User.find({ id: 1, lock: 'update' }, function(err) {
+        should.exist(err);
+        err.message.should.include('transaction');
+        err.should.have.property('status', 400);
+        User.all({ lock: 'exclusive', transaction: tx }, function(err) {
+          should.exist(err);
+          err.should.have.property('status', 400);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('.stream', function() {
+    var connection, rows;
+
+    beforeEach(function(done) {
+      rows = [
+        { user_id: 1, user_name: 'alex' },
+        { user_id: 2, user_name: 'jeff' },
+        { user_id: 3, user_name: 'bob' }
+      ];
+      connection = {
+        paused: 0,
+        released: false,
+        query: function(statement, values) {
+          var query = new EventEmitter();
+          connection.statement = statement;
+          connection.values = values;
+          process.nextTick(function() {
+            rows.forEach(function(row) {
+              query.emit('result', row);
+            });
+            query.emit('end');
+          });
+          return query;
+        },
+        pause: function() {
+          connection.paused++;
+        },
+        resume: function() {},
+        release: function() {
+          connection.released = true;
+        }
+      };
+      db.getConnection = function(cb) {
+        cb(null, connection);
+      };
+      done();
+    });
+
+    it('streams models from a pinned connection', function(done) {
+      var found = [];
+      User.stream({ where: { name: { $ne: 'jim' } } })
+        .on('data', function(user) {
+          found.push(user);
+        })
+        .on('end', function() {
+          connection.statement.sql.should.equal(
+            'select "user".* from "user" where "user"."name" != $1'
+          );
+          found.should.have.length(3);
+          found[0].should.be.instanceOf(User);
+          found[2].name().should.equal('bob');
+          connection.released.should.be.true;
+          done();
+        });
+    });
+
+    it('applies the default scope', function(done) {
+      User.defaultScope({ where: { name: { $ne: 'jim' } } });
+      var found = [];
+      User.stream({ id: { $gt: 1 } })
+        .on('data', function(user) {
+          found.push(user);
+        })
+        .on('end', function() {
+          connection.statement.sql.should.equal(
+            'select "user".* from "user" where "user"."name" != $1 and "user"."id" > $2'
+          );
+          found.should.have.length(3);
+          User.unscoped().stream()
+            .on('data', function() {})
+            .on('end', function() {
+              connection.statement.sql.should.equal('select "user".* from "user"');
+              done();
+            });
+        });
+    });
+
+    it('compiles pages like Model.all', function(done) {
+      User.where({ name: 'alex' }).limit(20).page(3).stream()
+        .on('data', function() {})
+        .on('end', function() {
+          connection.statement.sql.should.equal(
+            'select "user".* from "user" where "user"."name" = $1 limit $2 offset $3'
+          );
+          connection.values.should.eql(['alex', 20, 60]);
+          done();
+        });
+    });
+
+    it('pauses the connection when the buffer is full', function(done) {
+      for (var i = 4; i <= 40; i++) {
+        rows.push({ user_id: i, user_name: 'user ' + i });
+      }
+      var readable = User.stream({});
+      readable.read(0);
+      setTimeout(function() {
+        connection.paused.should.be.above(0);
+        readable.resume();
+        readable.on('end', function() {
+          done();
+        });
+      }, 10);
+    });
+  });
+
+  describe('.each', function() {
+    beforeEach(function(done) {
+      db.getConnection = function(cb) {
+        cb(null, {
+          query: function() {
+            var query = new EventEmitter();
+            process.nextTick(function() {
+              query.emit('result', { user_id: 1, user_name: 'alex' });
+              query.emit('result', { user_id: 2, user_name: 'jeff' });
+              query.emit('end');
+            });
+            return query;
+          },
+          pause: function() {},
+          resume: function() {},
+          release: function() {}
+        });
+      };
+      done();
+    });
+
+    it('calls iterator for each model in order', function(done) {
+      var names = [];
+      User.each({}, function(user, next) {
+        names.push(user.name());
+        setTimeout(next, 1);
+      }, function(err) {
+        if (err) return done(err);
+        names.should.eql(['alex', 'jeff']);
+        done();
+      });
+    });
+
+    it('stops at iterator errors', function(done) {
+      var count = 0;
+      User.each({}, function(user, next) {
+        count++;
+        next(new Error('stop'));
+      }, function(err) {
+        should.exist(err);
+        err.should.have.property('message', 'stop');
+        count.should.equal(1);
+        done();
+      });
+    });
+
+    it('passes stream errors to callback and promise', function(done) {
+      User.each({ include: 'posts' }, function(user, next) {
+        next();
+      }, function(err) {
+        should.exist(err);
+        err.should.have.property('message', 'Model.stream does not support include.');
+        User.each({ include: 'posts' }, function(user, next) {
+          next();
+        }).then(function() {
+          done(new Error('expected an error'));
+        }, function(err) {
+          err.should.have.property('message', 'Model.stream does not support include.');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('.removeAll', function() {
+    it('removes models successfully', function(done) {
+      db.respond = function() {
+        return { affectedRows: 2 };
+      };
+      User.removeAll({ name: 'alex' }, function(err, affectedRows) {
+        if (err) return done(err);
+        db.statements[0].sql.should.equal(
+          'delete from "user" where "user"."name" = $1'
+        );
+        affectedRows.should.equal(2);
+        done();
+      });
+    });
+
+    it('filters on option names the method does not use', function(done) {
+      db.respond = function() {
+        return { affectedRows: 1 };
+      };
+      User.removeAll({ lock: 'x' }, function(err) {
+        if (err) return done(err);
+        db.statements[0].sql.should.equal(
+          'delete from "user" where "user"."lock" = $1'
+        );
+        db.statements[0].values.should.eql(['x']);
+        done();
+      });
+    });
+
+    it('passes errors to callback', function(done) {
+      db.respond = function() {
+        return new Error("error removing all models.");
+      };
+      User.removeAll({ name: 'alex' }, function(err) {
+        should.exist(err);
+        err.should.have.property('message', 'error removing all models.');
+        done();
+      });
+    });
+  });
+
+  describe('.updateAll', function() {
+    var Task, statements;
+
+    beforeEach(function(done) {
+      Task = modella('Task').attr('id').attr('title')
+        .attr('due', { type: 'date', columnType: 'datetime' });
+      Task.use(mysql(settings, { lockVersion: true }));
+      statements = stubDb(Task, function() {
+        return { affectedRows: 3, changedRows: 2 };
+      }).statements;
+      done();
+    });
+
+    it('updates matching rows with formatted values', function(done) {
+      var due = new Date(Date.UTC(2014, 0, 2));
+      Task.updateAll({ title: 'a' }, { due: due }, function(err, result) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'update "task" set "due" = $1, "lock_version" = "task"."lock_version" + $2 '
+          + 'where "task"."title" = $3'
+        );
+        statements[0].values.should.eql([due.toISOString(), 1, 'a']);
+        result.should.eql({ affectedRows: 3, changedRows: 2 });
+        done();
+      });
+    });
+
+    it('filters on option names the method does not use', function(done) {
+      Task.updateAll({ page: 2 }, { title: 'b' }, function(err, result) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'update "task" set "title" = $1, "lock_version" = "task"."lock_version" + $2 '
+          + 'where "task"."page" = $3'
+        );
+        statements[0].values.should.eql(['b', 1, 2]);
+        done();
+      });
+    });
+
+    it('fetches rows and emits events with query.events', function(done) {
+      var events = [];
+      Task.on('mysql before update', function(task) {
+        events.push('before ' + task.primary() + ' ' + task.title());
+      });
+      Task.on('mysql after update', function(task) {
+        events.push('after ' + task.primary() + ' ' + task.lock_version());
+      });
+      Task.db.respond = function(statement) {
+        if (!/^select/.test(statement.sql)) return { affectedRows: 2, changedRows: 2 };
+        return [
+          { task_id: 1, task_title: 'a', task_lock_version: 0 },
+          { task_id: 2, task_title: 'b', task_lock_version: 4 }
+        ];
+      };
+      Task.updateAll({ title: { $in: ['a', 'b'] }, events: true }, { title: 'c' }, function(err, result) {
+        if (err) return done(err);
+        statements.map(sql).should.eql([
+          'START TRANSACTION',
+          'select "task".* from "task" where "task"."title" in ($1, $2) FOR UPDATE',
+          'update "task" set "title" = $1, "lock_version" = "task"."lock_version" + $2 '
+          + 'where "task"."id" in ($3, $4)',
+          'COMMIT'
+        ]);
+        events.should.eql(['before 1 c', 'before 2 c', 'after 1 1', 'after 2 5']);
+        result.affectedRows.should.equal(2);
+        result.models.should.have.length(2);
+        done();
+      });
+    });
+  });
+
+  describe('.createMany', function() {
+    var statements;
+
+    beforeEach(function(done) {
+      db.respond = function(statement) {
+        if (~String(statement).indexOf('@@max_allowed_packet')) {
+          return [{ max_allowed_packet: 1130 }];
+        }
+        return { insertId: 110 };
+      };
+      statements = db.statements;
+      done();
+    });
+
+    it('inserts rows with one statement and assigns ids', function(done) {
+      var saved = [];
+      User.on('mysql after save', function(user) {
+        saved.push(user.name());
+      });
+      User.createMany([{ name: 'alex' }, new User({ name: 'jeff' })], function(err, users) {
+        if (err) return done(err);
+        statements.should.eql([{
+          sql: 'SELECT @@max_allowed_packet AS "max_allowed_packet"',
+          values: []
+        }, {
+          sql: 'insert into "user" ("name") values ($1), ($2)',
+          values: ['alex', 'jeff']
+        }]);
+        users[0].primary().should.equal(110);
+        users[1].primary().should.equal(111);
+        saved.should.eql(['alex', 'jeff']);
+        done();
+      });
+    });
+
+    it('splits rows under max_allowed_packet in a transaction', function(done) {
+      var name = new Array(40).join('x');
+      User.createMany([
+        { name: name }, { name: name }, { name: name }
+      ], function(err, users) {
+        if (err) return done(err);
+        statements.map(sql).should.eql([
+          'SELECT @@max_allowed_packet AS "max_allowed_packet"',
+          'START TRANSACTION',
+          'insert into "user" ("name") values ($1), ($2)',
+          'insert into "user" ("name") values ($1)',
+          'COMMIT'
+        ]);
+        users[1].primary().should.equal(111);
+        users[2].primary().should.equal(110);
+        done();
+      });
+    });
+  });
+
+  describe('.upsert', function() {
+    var statements, existing;
+
+    beforeEach(function(done) {
+      existing = [];
+      db.respond = function(statement) {
+        if (typeof statement == 'string') return {};
+        if (/^select/.test(statement.sql)) return existing;
+        return { insertId: 7, affectedRows: 1 };
+      };
+      statements = db.statements;
+      done();
+    });
+
+    it('inserts with ON DUPLICATE KEY UPDATE', function(done) {
+      var events = [];
+      ['before save', 'before update', 'after save', 'after update'].forEach(function(event) {
+        User.on('mysql ' + event, function() {
+          events.push(event);
+        });
+      });
+      User.upsert({ id: 3, name: 'alex' }, function(err, user, inserted) {
+        if (err) return done(err);
+        statements.map(function(statement) {
+          return statement.sql;
+        }).should.eql([
+          'START TRANSACTION',
+          'select "user"."id" from "user" where "user"."id" = $1 FOR UPDATE',
+          'insert into "user" ("id", "name") values ($1, $2) '
+          + 'on duplicate key update "name" = VALUES("name"), '
+          + '"id" = LAST_INSERT_ID("id")',
+          'COMMIT'
+        ]);
+        statements[2].values.should.eql([3, 'alex']);
+        user.primary().should.equal(7);
+        inserted.should.equal(true);
+        events.should.eql(['before save', 'after save']);
+        done();
+      });
+    });
+
+    it('reports unchanged existing rows as updated', function(done) {
+      var events = [];
+      ['before save', 'before update', 'after save', 'after update'].forEach(function(event) {
+        User.on('mysql ' + event, function() {
+          events.push(event);
+        });
+      });
+      // With FOUND_ROWS, an unchanged row has 1 affected row like an insert
+      existing = [{ user_id: 5 }];
+      User.upsert({ name: 'alex' }, {
+        conflictKeys: ['name'],
+        update: { name: 'jeff' }
+      }, function(err, user, inserted) {
+        if (err) return done(err);
+        statements[1].sql.should.equal(
+          'select "user"."id" from "user" where "user"."name" = $1 FOR UPDATE'
+        );
+        statements[2].sql.should.equal(
+          'insert into "user" ("name") values ($1) '
+          + 'on duplicate key update "name" = $2, "id" = LAST_INSERT_ID("id")'
+        );
+        statements[2].values.should.eql(['alex', 'jeff']);
+        user.primary().should.equal(5);
+        inserted.should.equal(false);
+        events.should.eql(['before update', 'after update']);
+        done();
+      });
+    });
+
+    it('runs on a given transaction', function(done) {
+      User.transaction(function(tx, finish) {
+        User.upsert({ name: 'alex' }, { conflictKeys: 'name', transaction: tx }, finish);
+      }, function(err) {
+        if (err) return done(err);
+        statements.map(function(statement) {
+          return statement.sql.split(' ')[0];
+        }).should.eql(['START', 'select', 'insert', 'COMMIT']);
+        done();
+      });
+    });
+
+    it('maps renamed key columns when nothing else is updated', function(done) {
+      var Tag = modella('Tag').attr('slug', { columnName: 'tag_slug' });
+      Tag.use(mysql(settings, { primaryKey: 'slug', keyStrategy: 'manual' }));
+      Tag.db = User.db;
+      Tag.upsert({ slug: 'news' }, function(err) {
+        if (err) return done(err);
+        statements[2].sql.should.equal(
+          'insert into "tag" ("tag_slug") values ($1) '
+          + 'on duplicate key update "tag_slug" = "tag_slug"'
+        );
+        done();
+      });
+    });
+
+    it('is used by #save with the upsert option', function(done) {
+      existing = [{ user_id: 9 }];
+      var user = new User({ name: 'alex' });
+      user.save({ upsert: { conflictKeys: 'name' } }, function(err) {
+        if (err) return done(err);
+        statements[2].sql.should.include('on duplicate key update');
+        user.primary().should.equal(9);
+        done();
+      });
+    });
+
+    it('is used by #save with the upsert option when the model has an id', function(done) {
+      existing = [{ user_id: 4 }];
+      var user = new User({ id: 4, name: 'alex' });
+      user.save({ upsert: { conflictKeys: 'id' } }, function(err) {
+        if (err) return done(err);
+        statements.map(function(statement) {
+          return statement.sql;
+        }).should.eql([
+          'START TRANSACTION',
+          'select "user"."id" from "user" where "user"."id" = $1 FOR UPDATE',
+          'insert into "user" ("id", "name") values ($1, $2) '
+          + 'on duplicate key update "name" = VALUES("name"), '
+          + '"id" = LAST_INSERT_ID("id")',
+          'COMMIT'
+        ]);
+        user.primary().should.equal(4);
+        done();
+      });
+    });
+  });
+
+  describe('key strategies', function() {
+    var statements;
+
+    beforeEach(function(done) {
+      statements = db.statements;
+      done();
+    });
+
+    function respond(rows) {
+      db.respond = function() {
+        return rows;
+      };
+    }
+
+    it('generates UUIDs with the uuid strategy', function(done) {
+      var Token = modella('Token').attr('id').attr('name');
+      Token.use(mysql(settings, { keyStrategy: 'uuid' }));
+      Token.db = db;
+      respond({ insertId: 0 });
+      new Token({ name: 'api' }).save(function(err, token) {
+        if (err) return done(err);
+        token.primary().should.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        statements[0].sql.should.equal('insert into "token" ("name", "id") values ($1, $2)');
+        statements[0].values[1].should.equal(token.primary());
+        done();
+      });
+    });
+
+    it('converts binary UUIDs on write, in conditions and on read', function(done) {
+      var Token = modella('Token').attr('id', { type: 'string' }).attr('name');
+      var Grant = modella('Grant').attr('id').attr('token_id', { type: 'string' });
+      Token.use(mysql(settings, { keyStrategy: 'uuid', binaryUuid: true }));
+      Grant.use(mysql(settings));
+      Token.db = Grant.db = db;
+      Token.hasMany(Grant, { as: 'grants', foreignKey: 'token_id' });
+      var id = '0b6f7a5c-3d2e-4f10-9a8b-7c6d5e4f3a2b';
+      var binary = Buffer.from(id.replace(/-/g, ''), 'hex');
+      respond([{ token_id: binary, token_name: 'api' }]);
+      Token.find(id, function(err, token) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "token".* from "token" where "token"."id" = $1'
+        );
+        statements[0].values[0].equals(binary).should.equal(true);
+        token.primary().should.equal(id);
+        respond([]);
+        token.grants(function(err) {
+          if (err) return done(err);
+          statements[1].values[0].equals(binary).should.equal(true);
+          respond({ affectedRows: 1 });
+          new Token({ id: id, name: 'api' }).save(function(err) {
+            if (err) return done(err);
+            statements[2].values[0].equals(binary).should.equal(true);
+            done();
+          });
+        });
+      });
+    });
+
+    it('requires a primary key with the manual strategy', function(done) {
+      var Country = modella('Country').attr('id', { type: 'string' }).attr('name');
+      Country.use(mysql(settings, { keyStrategy: 'manual' }));
+      Country.db = db;
+      respond({ insertId: 3 });
+      new Country({ name: 'Chile' }).save(function(err) {
+        should.exist(err);
+        err.should.have.property('status', 400);
+        new Country({ id: 'CL', name: 'Chile' }).save(function(err, country) {
+          if (err) return done(err);
+          country.primary().should.equal('CL');
+          statements.should.have.length(1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('composite primary keys', function() {
+    var Membership, statements;
+
+    beforeEach(function(done) {
+      Membership = modella('Membership')
+        .attr('user_id', { type: 'number' })
+        .attr('group_id', { type: 'number' })
+        .attr('role', { type: 'string' });
+      Membership.use(mysql(settings, { primaryKey: ['user_id', 'group_id'] }));
+      statements = stubDb(Membership, function() {
+        return [{ membership_user_id: 1, membership_group_id: 2 }];
+      }).statements;
+      done();
+    });
+
+    it('finds models by the key tuple', function(done) {
+      Membership.find([1, 2], function(err, membership) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "membership".* from "membership" where '
+          + '"membership"."user_id" = $1 and "membership"."group_id" = $2'
+        );
+        statements[0].values.should.eql([1, 2]);
+        membership.user_id().should.equal(1);
+        done();
+      });
+    });
+
+    it('updates and removes by the key tuple', function(done) {
+      Membership.find([1, 2], function(err, membership) {
+        if (err) return done(err);
+        membership.role('admin');
+        membership.save(function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'update "membership" set "role" = $1 where '
+            + '"membership"."user_id" = $2 and "membership"."group_id" = $3'
+          );
+          membership.remove(function(err) {
+            if (err) return done(err);
+            statements[2].sql.should.equal(
+              'delete from "membership" where '
+              + '"membership"."user_id" = $1 and "membership"."group_id" = $2'
+            );
+            done();
+          });
+        });
+      });
+    });
+
+    it('inserts new models and requires every key', function(done) {
+      new Membership({ user_id: 1, role: 'admin' }).save(function(err) {
+        should.exist(err);
+        err.should.have.property('status', 400);
+        new Membership({ user_id: 1, group_id: 2 }).save(function(err) {
+          if (err) return done(err);
+          statements[0].sql.should.equal(
+            'insert into "membership" ("user_id", "group_id") values ($1, $2)'
+          );
+          done();
+        });
+      });
+    });
+
+    it('upserts on the key tuple', function(done) {
+      Membership.upsert({ user_id: 1, group_id: 2, role: 'admin' }, function(err) {
+        if (err) return done(err);
+        statements[1].sql.should.equal(
+          'select "membership"."user_id", "membership"."group_id" from "membership" '
+          + 'where "membership"."user_id" = $1 and "membership"."group_id" = $2 FOR UPDATE'
+        );
+        statements[2].sql.should.equal(
+          'insert into "membership" ("user_id", "group_id", "role") '
+          + 'values ($1, $2, $3) on duplicate key update "role" = VALUES("role")'
+        );
+        done();
+      });
+    });
+  });
+
+  describe('soft deletes', function() {
+    var Note, statements;
+
+    beforeEach(function(done) {
+      Note = modella('Note').attr('id').attr('body');
+      Note.use(mysql(settings, { softDelete: true }));
+      statements = stubDb(Note, function() {
+        return [{ note_id: 1, note_body: 'hi' }];
+      }).statements;
+      done();
+    });
+
+    it('exclude deleted rows from .all and .find', function(done) {
+      Note.all({ body: 'hi', count: 'none' }, function(err) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "note".* from "note" where "note"."body" = $1 and '
+          + '"note"."deleted_at" is null limit $2'
+        );
+        Note.find(1, function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'select "note".* from "note" where "note"."id" = $1 and '
+            + '"note"."deleted_at" is null'
+          );
+          done();
+        });
+      });
+    });
+
+    it('select deleted rows with withDeleted and onlyDeleted', function(done) {
+      Note.all({ withDeleted: true, count: 'none' }, function(err) {
+        if (err) return done(err);
+        statements[0].sql.should.equal('select "note".* from "note" limit $1');
+        Note.all({ onlyDeleted: true, count: 'none' }, function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'select "note".* from "note" where "note"."deleted_at" is not null limit $1'
+          );
+          done();
+        });
+      });
+    });
+
+    it('mark rows as deleted on remove and removeAll', function(done) {
+      var flags = [];
+      Note.on('mysql after remove', function(note, soft) {
+        flags.push(soft);
+      });
+      Note.find(1, function(err, note) {
+        if (err) return done(err);
+        note.remove(function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'update "note" set "deleted_at" = $1 where "note"."id" = $2'
+          );
+          note.deleted_at().should.be.an.instanceOf(Date);
+          flags.should.eql([true]);
+          Note.removeAll({ body: 'hi' }, function(err) {
+            if (err) return done(err);
+            statements[2].sql.should.equal(
+              'update "note" set "deleted_at" = $1 where "note"."body" = $2 '
+              + 'and "note"."deleted_at" is null'
+            );
+            Note.removeAll({ body: 'hi', force: true }, function(err) {
+              if (err) return done(err);
+              statements[3].sql.should.equal(
+                'delete from "note" where "note"."body" = $1'
+              );
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('restore deleted models', function(done) {
+      Note.find({ id: 1, withDeleted: true }, function(err, note) {
+        if (err) return done(err);
+        note.restore(function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'update "note" set "deleted_at" = null where "note"."id" = $1'
+          );
+          should.not.exist(note.deleted_at());
+          done();
+        });
+      });
+    });
+  });
+
+  describe('scopes', function() {
+    var Article, Author, statements;
+
+    beforeEach(function(done) {
+      Article = modella('Article').attr('id').attr('author_id').attr('published').attr('views');
+      Article.use(mysql(settings));
+      Author = modella('Author').attr('id');
+      Author.use(mysql(settings));
+      Author.hasMany(Article, { as: 'articles', foreignKey: 'author_id' });
+      statements = stubDb(Article, function() {
+        return [{ article_id: 1 }];
+      }).statements;
+      Article.defaultScope({ where: { published: true }, order: { id: 'desc' }});
+      Article.scope('popular', { where: { views: { $gt: 100 }}});
+      Article.scope('by', function(id) {
+        return { where: { author_id: id }};
+      });
+      done();
+    });
+
+    it('merge the default scope into .all, .find and .removeAll', function(done) {
+      Article.all({ views: 5, count: 'none' }, function(err) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "article".* from "article" where "article"."published" is true and '
+          + '"article"."views" = $1 order by "article"."id" desc limit $2'
+        );
+        Article.find(1, function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'select "article".* from "article" where "article"."published" is true and '
+            + '"article"."id" = $1 order by "article"."id" desc'
+          );
+          Article.removeAll({ views: 0 }, function(err) {
+            if (err) return done(err);
+            statements[2].sql.should.equal(
+              'delete from "article" where "article"."published" is true and '
+              + '"article"."views" = $1'
+            );
+            Article.defaultScope.should.be.a('function');
+            done();
+          });
+        });
+      });
+    });
+
+    it('merge the default scope into "has many" accessors', function(done) {
+      var author = new Author({ id: 3 });
+      author.articles({ count: 'none' }, function(err) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "article".* from "article" where "article"."published" is true and '
+          + '"article"."author_id" = $1 order by "article"."id" desc limit $2'
+        );
+        done();
+      });
+    });
+
+    it('combine conditions on the same keys with $and', function(done) {
+      Article.all({ published: false, count: 'none' }, function(err) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "article".* from "article" where "article"."published" is true and '
+          + '"article"."published" is false order by "article"."id" desc limit $1'
+        );
+        done();
+      });
+    });
+
+    it('bypass the default scope with unscoped', function(done) {
+      Article.unscoped().all({ count: 'none' }, function(err) {
+        if (err) return done(err);
+        statements[0].sql.should.equal('select "article".* from "article" limit $1');
+        Article.all({ unscoped: true, count: 'none' }, function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.equal('select "article".* from "article" limit $1');
+          done();
+        });
+      });
+    });
+
+    it('chain named scopes', function(done) {
+      Article.popular().by(3).all({ count: 'none' }, function(err) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "article".* from "article" where "article"."published" is true and '
+          + '"article"."author_id" = $1 and "article"."views" > $2 '
+          + 'order by "article"."id" desc limit $3'
+        );
+        statements[0].values.should.eql([3, 100, 51]);
+        Article.unscoped().popular().find(1, function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'select "article".* from "article" where "article"."views" > $1 and '
+            + '"article"."id" = $2'
+          );
+          done();
+        });
+      });
+    });
+
+    it('throw if a scope conflicts with a model method', function(done) {
+      (function() {
+        Article.scope('all', {});
+      }).should.throw();
+      done();
+    });
+  });
+
+  describe('aggregates', function() {
+    var Order, Product, statements, rows;
+
+    beforeEach(function(done) {
+      rows = [];
+      Order = modella('Order').attr('id').attr('status')
+        .attr('amount', { type: 'number', columnName: 'amount_cents' });
+      Product = modella('Product').attr('id').attr('price');
+      Order.use(mysql(settings));
+      Product.use(mysql(settings));
+      Order.hasAndBelongsToMany(Product, { as: 'products' });
+      statements = stubDb([Order, Product], function() {
+        return rows;
+      }).statements;
+      done();
+    });
+
+    it('groups rows with .aggregate', function(done) {
+      rows = [{ status: 'paid', total: 500, amount_cents: 300 }];
+      Order.aggregate({
+        where: { status: { $ne: 'void' }},
+        columns: ['status', { sum: 'amount', as: 'total' }, { max: 'amount', as: 'amount' }],
+        groupBy: 'status',
+        having: { total: { $gt: 100 }},
+        order: '-total',
+        limit: 5
+      }, function(err, result) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "order"."status", SUM("order"."amount_cents") AS "total", '
+          + 'MAX("order"."amount_cents") AS "amount_cents" from "order" '
+          + 'where "order"."status" != $1 GROUP BY "order"."status" '
+          + 'HAVING "total" > $2 ORDER BY "total" DESC LIMIT $3'
+        );
+        statements[0].values.should.eql(['void', 100, 5]);
+        result.should.eql([{ status: 'paid', total: 500, amount: 300 }]);
+        done();
+      });
+    });
+
+    it('count groups by default', function(done) {
+      Order.aggregate({ groupBy: 'status' }, function(err) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "order"."status", COUNT(*) AS "count" from "order" GROUP BY "order"."status"'
+        );
+        done();
+      });
+    });
+
+    it('compute single values with .count, .sum, .avg, .min and .max', function(done) {
+      rows = [{ value: 7 }];
+      Order.count({ status: 'paid', limit: 10 }, function(err, count) {
+        if (err) return done(err);
+        count.should.equal(7);
+        statements[0].sql.should.equal(
+          'select COUNT(*) AS "value" from "order" where "order"."status" = $1'
+        );
+        Order.avg('amount', function(err, avg) {
+          if (err) return done(err);
+          avg.should.equal(7);
+          statements[1].sql.should.equal(
+            'select AVG("order"."amount_cents") AS "value" from "order"'
+          );
+          rows = [{ value: null }];
+          Order.where({ status: 'void' }).sum('amount', function(err, sum) {
+            if (err) return done(err);
+            sum.should.equal(0);
+            Order.max('amount', function(err, max) {
+              if (err) return done(err);
+              should.equal(max, null);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('rewrite relation conditions', function(done) {
+      Product.sum('price', { order_id: 7 }).then(function() {
+        statements[0].sql.should.equal(
+          'select SUM("product"."price") AS "value" from "product" '
+          + 'inner join "order_product" on "order_product"."product_id" = "product"."id" '
+          + 'where "order_product"."order_id" = $1'
+        );
+        done();
+      }).catch(done);
+    });
+
+    it('reject invalid columns', function(done) {
+      Order.aggregate({ columns: [{ sum: 'amount; drop table' }] }, function(err) {
+        should.exist(err);
+        err.should.have.property('status', 400);
+        statements.should.have.length(0);
+        done();
+      });
+    });
+  });
+
+  describe('query builder', function() {
+    var statements, rows;
+
+    beforeEach(function(done) {
+      rows = [{ user_id: 1, user_name: 'alex' }];
+      User.hasMany('posts', { model: Post, foreignKey: 'user_id' });
+      db.respond = function() {
+        return rows;
+      };
+      statements = db.statements;
+      done();
+    });
+
+    it('compiles to a query object', function(done) {
+      var query = User.where({ name: 'alex' }).orWhere({ name: 'jeff' })
+        .where({ id: { $gt: 1 }}).order('-id, name').include('posts')
+        .limit(20).page(3);
+      query.compile().should.eql({
+        where: {
+          $or: [{ name: 'alex' }, { name: 'jeff' }],
+          id: { $gt: 1 }
+        },
+        order: { id: 'desc', name: 'asc' },
+        include: 'posts',
+        limit: 20,
+        page: 3
+      });
+      done();
+    });
+
+    it('returns new queries', function(done) {
+      var active = User.where({ active: true });
+      var alex = active.where({ name: 'alex' });
+      active.compile().should.eql({ where: { active: true }});
+      alex.compile().should.eql({ where: { active: true, name: 'alex' }});
+      active.where({ active: false }).compile().should.eql({
+        where: { $and: [{ active: true }, { active: false }] }
+      });
+      active.merge(User.order('name')).compile().should.eql({
+        where: { active: true },
+        order: { name: 'asc' }
+      });
+      active.merge({ order: 'name desc' }).order('-id').compile().should.eql({
+        where: { active: true },
+        order: { name: 'desc', id: 'desc' }
+      });
+      active.merge({ sort: ['-name'] }).order({ id: 'asc' }).compile().should.eql({
+        where: { active: true },
+        order: { name: 'desc', id: 'asc' }
+      });
+      done();
+    });
+
+    it('runs with .all and .first', function(done) {
+      User.where({ name: 'alex' }).order('-id').limit(10).all({ count: 'none' }, function(err, result) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select "user".* from "user" where "user"."name" = $1 order by "user"."id" desc limit $2'
+        );
+        statements[0].values.should.eql(['alex', 11]);
+        result.data[0].name().should.equal('alex');
+        User.where({ name: 'alex' }).first(function(err, user) {
+          if (err) return done(err);
+          statements[1].values.should.eql(['alex', 2]);
+          user.primary().should.equal(1);
+          rows = [];
+          User.where({ name: 'jeff' }).first(function(err, user) {
+            if (err) return done(err);
+            should.equal(user, null);
+            done();
+          });
+        });
+      });
+    });
+
+    it('runs with .count and .remove', function(done) {
+      rows = [{ value: 3 }];
+      User.where({ name: 'alex' }).order('name').limit(10).count(function(err, count) {
+        if (err) return done(err);
+        statements[0].sql.should.equal(
+          'select COUNT(*) AS "value" from "user" where "user"."name" = $1'
+        );
+        count.should.equal(3);
+        User.where({ name: 'alex' }).remove(function(err) {
+          if (err) return done(err);
+          statements[1].sql.should.equal('delete from "user" where "user"."name" = $1');
+          done();
+        });
+      });
+    });
+
+    it('rejects .remove and .update with a limit, offset or page', function(done) {
+      User.where({ name: 'alex' }).limit(10).remove(function(err) {
+        should.exist(err);
+        err.should.have.property('status', 400);
+        User.where({ name: 'alex' }).page(2).update({ name: 'jeff' }).then(function() {
+          done(new Error('expected an error'));
+        }, function(err) {
+          err.should.have.property('status', 400);
+          statements.should.have.length(0);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('.transaction', function() {
+    var statements;
+
+    beforeEach(function(done) {
+      statements = [];
+      db.getConnection = function(cb) {
+        cb(null, {
+          query: function(statement, values, cb) {
+            statements.push(statement.sql || statement);
+            cb(null, { insertId: 1 }, {});
+          },
+          release: function() {
+            statements.push('release');
+          }
+        });
+      };
+      done();
+    });
+
+    it('runs queries on the pinned connection and commits', function(done) {
+      db.query = function() {
+        throw new Error('query should use the transaction connection');
+      };
+      User.transaction(function(tx, next) {
+        var user = new User({ name: 'alex' });
+        user.save({ transaction: tx }, function(err) {
+          if (err) return next(err);
+          User.removeAll({ name: 'jeff', transaction: tx }, next);
+        });
+      }, function(err) {
+        if (err) return done(err);
+        statements.should.eql([
+          'START TRANSACTION',
+          'insert into "user" ("name") values ($1)',
+          'delete from "user" where "user"."name" = $1',
+          'COMMIT',
+          'release'
+        ]);
+        done();
+      });
+    });
+
+    it('rolls back when body passes an error', function(done) {
+      User.transaction(function(tx, next) {
+        next(new Error('abort'));
+      }, function(err) {
+        should.exist(err);
+        err.should.have.property('message', 'abort');
+        statements.should.eql(['START TRANSACTION', 'ROLLBACK', 'release']);
+        done();
+      });
+    });
+
+    it('rolls back when body throws', function(done) {
+      User.transaction(function(tx, next) {
+        throw new Error('thrown');
+      }, function(err) {
+        should.exist(err);
+        err.should.have.property('message', 'thrown');
+        statements.should.eql(['START TRANSACTION', 'ROLLBACK', 'release']);
+        done();
+      });
+    });
+
+    it('uses savepoints for nested transactions', function(done) {
+      User.transaction(function(tx, next) {
+        User.transaction(tx, function(sp, next) {
+          next(new Error('abort'));
+        }, function(err) {
+          should.exist(err);
+          next();
+        });
+      }, function(err) {
+        if (err) return done(err);
+        statements.should.eql([
+          'START TRANSACTION',
+          'SAVEPOINT sp_1',
+          'ROLLBACK TO SAVEPOINT sp_1',
+          'COMMIT',
+          'release'
+        ]);
+        done();
+      });
+    });
+
+    it('retries the whole body on DEADLOCK', function(done) {
+      var attempts = 0;
+      User.transaction(function(tx, next) {
+        attempts++;
+        if (attempts < 2) {
+          return next(new Error('ER_LOCK_DEADLOCK: Deadlock found'));
+        }
+        next(null, attempts);
+      }, function(err, result) {
+        if (err) return done(err);
+        result.should.equal(2);
+        statements.filter(function(sql) {
+          return sql == 'START TRANSACTION';
+        }).should.have.length(2);
+        done();
+      });
+    });
+  });
+
+  describe('promises', function() {
+    it('are returned by .all without callback', function(done) {
+      User.all({ name: 'alex' }).then(function(found) {
+        found.should.have.property('data');
+        found.should.have.property('limit', 50);
+        done();
+      }, done);
+    });
+
+    it('are rejected with error properties by .find', function(done) {
+      User.find(1).then(function() {
+        done(new Error('should not resolve'));
+      }, function(err) {
+        err.should.have.property('status', 404);
+        err.should.have.property('code', 404);
+        done();
+      });
+    });
+
+    it('are returned by .query and .removeAll', function(done) {
+      User.query('select 1', []).then(function(rows) {
+        rows.should.eql([]);
+        return User.removeAll({ name: 'alex' });
+      }).then(function() {
+        done();
+      }, done);
+    });
+
+    it('are returned by #save and #remove', function(done) {
+      var user = new User({ name: 'alex' });
+      db.respond = function() {
+        return { insertId: 1 };
+      };
+      user.save().then(function(saved) {
+        saved.should.equal(user);
+        user.primary().should.equal(1);
+        return user.remove();
+      }).then(function() {
+        user.removed.should.be.true;
+        done();
+      }, done);
+    });
+
+    it('are returned by relation accessors', function(done) {
+      User.hasMany('posts', { model: Post, foreignKey: 'user_id' });
+      var user = new User({ id: 1, name: 'alex' });
+      user.posts().then(function(posts) {
+        posts.should.have.property('data');
+        done();
+      }, done);
+    });
+
+    it('are returned by .transaction and accepted from its body', function(done) {
+      User.transaction(function(tx) {
+        return User.all({ name: 'alex', transaction: tx });
+      }).then(function(found) {
+        found.should.have.property('data');
+        done();
+      }, done);
+    });
+  });
+
+  describe('#save', function() {
+    it('saves new model successfully', function(done) {
+      var user = new User({name: 'alex'});
+      db.respond = function() {
+        return { insertId: 1 };
+      };
+      user.save(function(err) {
+        should.not.exist(err);
+        db.statements[0].values.should.eql(['alex']);
+        should.exist(user.primary());
+        done();
+      });
+    });
+
+    it('passes errors to callback', function(done) {
+      var user = new User({ name: 'alex' });
+      db.respond = function() {
+        return new Error('error saving user.');
+      };
+      user.save(function(err) {
+        should.exist(err);
+        err.should.have.property('message', 'error saving user.');
+        done();
+      });
+    });
+  });
+
+  describe('#update', function() {
+    it('updates model successfully', function(done) {
+      var user = new User({id: 1, name: 'alex'});
+      user.name('jeff');
+      user.save(function(err) {
+        should.not.exist(err);
+        db.statements[0].sql.should.equal(
+          'update "user" set "name" = $1 where "user"."id" = $2'
+        );
+        db.statements[0].values.should.eql(['jeff', 1]);
+        user.name().should.equal('jeff');
+        done();
+      });
+    });
+
+    it('passes errors to callback', function(done) {
+      var user = new User({ name: 'alex' });
+      user.save(function(err) {
+        if (err) return done(err);
+        user.name('jeff');
+        db.respond = function() {
+          return new Error('error updating user.');
+        };
+        user.save(function(err) {
+          should.exist(err);
+          err.should.have.property('message', 'error updating user.');
+          done();
+        });
+      });
+    });
+
+    describe('with lockVersion', function() {
+      var Doc, statements, affectedRows;
+
+      beforeEach(function(done) {
+        Doc = modella('Doc').attr('id').attr('title');
+        Doc.use(mysql(settings, { lockVersion: 'version' }));
+        statements = stubDb(Doc, function(statement) {
+          if (/^select/.test(statement.sql)) return [{ doc_id: 4, doc_version: 6 }];
+          return { insertId: 4, affectedRows: affectedRows };
+        }).statements;
+        done();
+      });
+
+      it('checks and increments the version', function(done) {
+        affectedRows = 1;
+        var doc = new Doc({ id: 4, title: 'draft', version: 2 });
+        doc.title('final');
+        doc.save(function(err) {
+          if (err) return done(err);
+          statements[0].sql.should.equal(
+            'update "doc" set "title" = $1, "version" = $2 '
+            + 'where "doc"."id" = $3 and "doc"."version" = $4'
+          );
+          statements[0].values.should.eql(['final', 3, 4, 2]);
+          doc.version().should.equal(3);
+          done();
+        });
+      });
+
+      it('passes a StaleObjectError if no row matched', function(done) {
+        affectedRows = 0;
+        var updated = false;
+        Doc.on('mysql after update', function() {
+          updated = true;
+        });
+        var doc = new Doc({ id: 4, title: 'draft', version: 2 });
+        doc.title('final');
+        doc.save(function(err) {
+          should.exist(err);
+          err.should.be.an.instanceOf(mysql.StaleObjectError);
+          err.should.have.property('status', 409);
+          updated.should.equal(false);
+          done();
+        });
+      });
+
+      it('takes the version of rows updated by upsert', function(done) {
+        affectedRows = 1;
+        Doc.upsert({ id: 4, title: 'draft' }, function(err, doc, inserted) {
+          if (err) return done(err);
+          statements[1].sql.should.equal(
+            'select "doc"."id", "doc"."version" from "doc" where "doc"."id" = $1 FOR UPDATE'
+          );
+          inserted.should.equal(false);
+          doc.version().should.equal(7);
+          doc.title('final');
+          doc.save(function(err) {
+            if (err) return done(err);
+            statements[4].sql.should.equal(
+              'update "doc" set "title" = $1, "version" = $2 '
+              + 'where "doc"."id" = $3 and "doc"."version" = $4'
+            );
+            statements[4].values.should.eql(['final', 8, 4, 7]);
+            done();
+          });
+        });
+      });
+
+      it('starts new rows at version 0', function(done) {
+        new Doc({ title: 'draft' }).save(function(err, doc) {
+          if (err) return done(err);
+          statements[0].sql.should.equal(
+            'insert into "doc" ("version", "title") values ($1, $2)'
+          );
+          doc.version().should.equal(0);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#remove', function() {
+    it('removes model successfully', function(done) {
+      var user = new User({id: 1, name: 'alex'});
+      user.remove(function(err) {
+        should.not.exist(err);
+        db.statements[0].sql.should.equal(
+          'delete from "user" where "user"."id" = $1'
+        );
+        db.statements[0].values.should.eql([1]);
         done();
       });
     });
 
     it('passes errors to callback', function(done) {
       var user = new User({ id: 1, name: 'alex' });
-      var query = User.db.query;
-      User.db.query = function(statement, values, callback) {
-        User.db.query = query;
-        callback(new Error('error removing user.'));
+      db.respond = function() {
+        return new Error('error removing user.');
       };
       user.remove(function(err) {
         should.exist(err);
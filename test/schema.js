@@ -0,0 +1,162 @@
+/**
+ * modella-mysql schema tests.
+ */
+
+var should = require('should');
+var modella = require('modella');
+var schema = require('../lib/schema');
+
+describe('schema', function() {
+  var User;
+
+  beforeEach(function(done) {
+    User = modella('User')
+      .attr('id')
+      .attr('email', { type: 'string', length: 100, unique: true, nullable: false })
+      .attr('fullname', { type: 'string', columnName: 'full_name', index: 'user_name' })
+      .attr('nickname', { type: 'string', index: 'user_name' })
+      .attr('active', { type: 'boolean', defaultValue: true })
+      .attr('settings', { type: 'object' })
+      .attr('created', { type: 'date', columnType: 'datetime' })
+      .attr('updated', { type: 'date' });
+    User.tableName = 'user';
+    done();
+  });
+
+  describe('.columnType', function() {
+    it('maps attribute types to column types', function(done) {
+      schema.columnType(User, 'id').should.equal('INT');
+      schema.columnType(User, 'email').should.equal('VARCHAR(100)');
+      schema.columnType(User, 'active').should.equal('TINYINT(1)');
+      schema.columnType(User, 'settings').should.equal('TEXT');
+      schema.columnType(User, 'created').should.equal('DATETIME');
+      schema.columnType(User, 'updated').should.equal('INT');
+      done();
+    });
+
+    it('uses columnType for non-date attributes', function(done) {
+      User.attr('bio', { type: 'string', columnType: 'text' });
+      schema.columnType(User, 'bio').should.equal('TEXT');
+      done();
+    });
+
+    it('stores UUID primary keys without AUTO_INCREMENT', function(done) {
+      User.keyStrategy = 'uuid';
+      schema.columnDefinition(User, 'id').should.equal('"id" CHAR(36) NOT NULL');
+      User.attrs.id.binaryUuid = true;
+      schema.columnDefinition(User, 'id').should.equal('"id" BINARY(16) NOT NULL');
+      done();
+    });
+  });
+
+  describe('.createTable', function() {
+    it('builds CREATE TABLE from attribute definitions', function(done) {
+      schema.createTable(User).should.equal([
+        'CREATE TABLE IF NOT EXISTS "user" (',
+        '  "id" INT NOT NULL AUTO_INCREMENT,',
+        '  "email" VARCHAR(100) NOT NULL,',
+        '  "full_name" VARCHAR(255),',
+        '  "nickname" VARCHAR(255),',
+        '  "active" TINYINT(1) DEFAULT 1,',
+        '  "settings" TEXT,',
+        '  "created" DATETIME,',
+        '  "updated" INT,',
+        '  PRIMARY KEY ("id"),',
+        '  UNIQUE KEY "user_email_unique" ("email"),',
+        '  KEY "user_name" ("full_name", "nickname")',
+        ') ENGINE=InnoDB DEFAULT CHARSET=utf8'
+      ].join('\n'));
+      done();
+    });
+  });
+
+  describe('.compare', function() {
+    var live;
+
+    beforeEach(function(done) {
+      live = {
+        columns: [
+          { COLUMN_NAME: 'id', COLUMN_TYPE: 'int(11)' },
+          { COLUMN_NAME: 'email', COLUMN_TYPE: 'varchar(255)' },
+          { COLUMN_NAME: 'full_name', COLUMN_TYPE: 'varchar(255)' },
+          { COLUMN_NAME: 'nickname', COLUMN_TYPE: 'varchar(255)' },
+          { COLUMN_NAME: 'active', COLUMN_TYPE: 'tinyint(1)' },
+          { COLUMN_NAME: 'settings', COLUMN_TYPE: 'text' },
+          { COLUMN_NAME: 'created', COLUMN_TYPE: 'datetime' },
+          { COLUMN_NAME: 'legacy', COLUMN_TYPE: 'int(11)' }
+        ],
+        indexes: [
+          { INDEX_NAME: 'PRIMARY', NON_UNIQUE: 0, COLUMN_NAME: 'id' },
+          { INDEX_NAME: 'user_email_unique', NON_UNIQUE: 0, COLUMN_NAME: 'email' }
+        ],
+        foreignKeys: []
+      };
+      done();
+    });
+
+    it('reports missing, mismatched and extra columns', function(done) {
+      var diff = schema.compare(User, live);
+      diff.exists.should.be.true;
+      diff.missingColumns.should.eql([
+        { attr: 'updated', column: 'updated', type: 'INT' }
+      ]);
+      diff.typeMismatches.should.eql([{
+        attr: 'email',
+        column: 'email',
+        expected: 'VARCHAR(100)',
+        actual: 'varchar(255)'
+      }]);
+      diff.extraColumns.should.eql([{ column: 'legacy', type: 'int(11)' }]);
+      diff.missingIndexes.should.have.length(1);
+      diff.missingIndexes[0].should.have.property('name', 'user_name');
+      diff.statements.should.eql([
+        'ALTER TABLE "user" MODIFY "email" VARCHAR(100) NOT NULL',
+        'ALTER TABLE "user" ADD "updated" INT',
+        'ALTER TABLE "user" ADD KEY "user_name" ("full_name", "nickname")'
+      ]);
+      done();
+    });
+
+    it('drops extra columns if asked to', function(done) {
+      var diff = schema.compare(User, live, { drop: true });
+      diff.statements.should.include('ALTER TABLE "user" DROP "legacy"');
+      done();
+    });
+
+    it('reports missing foreign keys of relations', function(done) {
+      var Post = modella('Post').attr('id').attr('user_id', { type: 'number' });
+      Post.tableName = 'post';
+      Post.relations = {};
+      User.relations = {};
+      Post.relations.user_id = {
+        type: 'hasMany',
+        model: Post,
+        owner: User,
+        foreignKey: 'user_id'
+      };
+      var diff = schema.compare(Post, {
+        columns: [
+          { COLUMN_NAME: 'id', COLUMN_TYPE: 'int(11)' },
+          { COLUMN_NAME: 'user_id', COLUMN_TYPE: 'int(11)' }
+        ],
+        indexes: [],
+        foreignKeys: []
+      });
+      diff.missingForeignKeys.should.eql([
+        { column: 'user_id', references: { table: 'user', column: 'id' } }
+      ]);
+      diff.statements.should.eql([
+        'ALTER TABLE "post" ADD CONSTRAINT "post_user_id_foreign" '
+        + 'FOREIGN KEY ("user_id") REFERENCES "user" ("id")'
+      ]);
+      done();
+    });
+
+    it('creates missing tables', function(done) {
+      var diff = schema.compare(User, { columns: [], indexes: [], foreignKeys: [] });
+      diff.exists.should.be.false;
+      diff.statements.should.eql([schema.createTable(User)]);
+      done();
+    });
+  });
+});